@@ -7,9 +7,13 @@
  *  "Frame count" is the total number of frames contained in the source image.
  *  "Frame number" is the index of a frame within the source image. The frames are numbered
  *  from 0 to (frame count - 1).
- *  "Orientation" is how the frames are arranged within the source image. This can be either
- *  horizontal or vertical. Horizontal is if the source image is a long row of frames, vertical
- *  is if the source image is a tall column of frames.
+ *  "Orientation" is how the frames are arranged within the source image. This can be
+ *  horizontal, vertical or a grid. Horizontal is if the source image is a long row of frames,
+ *  vertical is if the source image is a tall column of frames. A grid is composed of several
+ *  rows of frames, which are numbered left to right, then top to bottom.
+ *  "Atlas" is a descriptor listing the position and size of each frame within the source image,
+ *  as exported by tools like TexturePacker or Aseprite. If an atlas is given, it overrides the
+ *  orientation, and frames may be of different sizes and carry names and durations.
  *
  *  "Sequence" specifies in which order the individual frames are to be successively displayed
  *  to render the cartoon. Depending on the playback mode, this may or may not coincide with
@@ -41,32 +45,204 @@
  *  by the delay to wait after that frame.
  *
  *
+ *  Timing
+ *  ======
+ *
+ *  All cartoons on a page share one clock, which is driven by requestAnimationFrame (or by
+ *  setTimeout in environments without it). On each tick, the sequence number to display is
+ *  worked out from the elapsed time, so delays don't add up to drift. If a cartoon falls
+ *  behind, the frames in between are skipped rather than slowing the animation down. If it
+ *  falls behind by more than a second, which happens when the page was hidden and the clock
+ *  paused, it continues where it left off instead.
+ *
+ *  A cartoon may be given a time source of its own by the clock option, e.g. a fake one for
+ *  tests, which is then advanced by hand. Cartoons given the same time source share a clock
+ *  (members of a group should do so). Together with the onRender option, which can take over
+ *  displaying the frames, this lets cartoons run headless; see the tests.
+ *
+ *
  *  Invocation
  *  ==========
  *
- *  To set up the cartoon, create a cartoon object like this:
+ *  To set up the cartoon, call the plugin on the screen element like this:
  *
- *      var cartoon = $("#id").cartoon(options);
+ *      $("#id").cartoon(options);
  *
  *  where options is a simple key-value object which maps option names to values. Most options
  *  are optional (this wording appears redundant), being supplemented by default values, but
- *  some must be supplied.
+ *  some must be supplied. If the jQuery object matches several elements, each of them gets a
+ *  cartoon of its own. The jQuery object is returned for chaining. Calling the plugin again on
+ *  an element which already has a cartoon configure()s that one with the options (and plays it
+ *  if autoplay is set).
+ *
+ *  Methods can then be called in jQuery UI style, by passing the method name followed by its
+ *  arguments, on all matched elements at once:
+ *
+ *      $(".spinner").cartoon("play");
+ *      $(".spinner").cartoon("option", "delay", 50);
+ *
+ *  This returns the jQuery object for chaining, unless the method returns a value, in which case
+ *  the value returned for the first matched element is returned. The cartoon object itself is
+ *  returned by
+ *
+ *      var cartoon = $("#id").cartoon("instance");
  *
- *  The cartoon object then offers these public methods to call:
+ *  The cartoon object offers these public methods to call:
  *
- *      play()                  starts playing the cartoon
- *      stop()                  stops playing the cartoon
+ *      play([options])         starts playing the cartoon
+ *      playRange(from, to[, options])
+ *                              plays the sequence numbers from through to, then stops
+ *      stop([options])         stops playing the cartoon; with { gentle: true }, playback
+ *                              slows down over a few more steps before it halts
  *      step()                  advances the animation by one step
- *      rewind()                rewinds the cartoon to the beginning, i.e. sequence number 0
+ *      stepBack()              moves the animation back by one step
+ *      rewind([options])       rewinds the cartoon to the beginning, i.e. sequence number 0
+ *                              (or the last sequence number when traveling in reverse)
  *      skipTo(seqno)           displays the frame assigned to the given sequence number
  *      displayFrame(frameno)   displays the frame with the given frame number
  *      getSequenceNumber()     returns the cartoon's current sequence number
+ *      getDuration()           returns the duration of one pass through the sequence in ms
+ *      getCurrentTime()        returns the current time into the pass in ms
+ *      getProgress()           returns the current time into the pass as a fraction from 0 to 1
+ *      seekTime(ms)            displays the frame due at the given time into the pass
+ *      seekProgress(fraction)  displays the frame due at the given fraction of the pass
+ *      getState()              returns a snapshot of the cartoon's state as plain JSON
+ *      setState(snapshot)      brings the cartoon back to the state in a snapshot
  *      getScreen()             returns the screen element
- *      configure(options)      modifies the configuration of the cartoon
+ *      ready()                 returns a promise resolved once the source image and atlas are loaded
+ *      getImageSize()          returns the natural size of the source image
+ *      playAnimation(name[, options])
+ *                              switches over to the named animation and plays it
+ *      getAnimation()          returns the name of the active animation
+ *      queue(name[, options])  queues the named animation on the screen element's fx queue
+ *      addCue(at, callback)    calls back whenever the cartoon arrives at a sequence number
+ *                              (or an atlas frame name)
+ *      removeCue(at[, callback])
+ *                              removes the cues at a sequence number (or atlas frame name)
+ *      configure(options)      modifies the configuration of the cartoon, even while playing
+ *      option([name[, value]]) gets or sets options (see below)
  *      destroy()               destroys the cartoon
  *
  *  Unless documented otherwise, all public functions return the cartoon object for chaining.
  *
+ *  play(), playRange(), playAnimation() and rewind() return a jQuery promise instead if passed
+ *  the option { promise: true }. It is resolved once playback ends by itself (right away for
+ *  rewind()), and rejected once the cartoon is stop()ped or destroy()ed. Either way, it gets
+ *  the cartoon object. A looping cartoon only ends by stop(), of course.
+ *
+ *      cartoon.play({ promise: true }).done(function () { ... });
+ *
+ *  Animations can be queued on the screen element's fx queue, so they play one after the other,
+ *  and in turn with the jQuery effects on the same element:
+ *
+ *      cartoon.queue("intro").queue("idle", { loop: true });
+ *      $("#id").animate({ left: 100 });
+ *
+ *  An animation in the queue is played like by playAnimation(), and its queue entry completes
+ *  once its playback ends, whether by itself or by stop(). A looping one ({ loop: true }
+ *  overrides the clip's loop property) lets the queue go on at the end of the pass during which
+ *  more entries were queued, and plays on meanwhile. $("#id").promise() is resolved once the
+ *  queue is empty.
+ *
+ *  Cartoons can also be set up from markup, without writing any JavaScript. Every element with
+ *  a data-cartoon attribute gets a cartoon, with the options taken from data-cartoon-*
+ *  attributes. Option names are written in dashed form, values are parsed like jQuery's data()
+ *  does, so JSON may be used for arrays. An attribute without a value means true.
+ *
+ *      <div data-cartoon data-cartoon-frame-count="12" data-cartoon-fps="15"
+ *          data-cartoon-loop="true" data-cartoon-autoplay></div>
+ *
+ *      <div data-cartoon data-cartoon-mode="seq" data-cartoon-sequence="[0, 1, 2, 1]"></div>
+ *
+ *  The data-cartoon attribute itself may hold a JSON object of options as well. The elements are
+ *  set up once the DOM is ready. Elements inserted later are set up as they are inserted, and
+ *  cartoons set up this way are destroyed once their elements are removed from the document
+ *  (where MutationObserver is available). To turn this off, set
+ *  $.cartoon.autoInit to false before the DOM is ready. $.cartoon.init(context) sets up the
+ *  elements within the given context (default is the document) by hand.
+ *
+ *
+ *  Groups
+ *  ======
+ *
+ *  Cartoons which have to stay frame-locked, like the parts of a scene, can be put together
+ *  into a group:
+ *
+ *      var group = $.cartoon.group([ background, character, { cartoon: effect, offset: 500 } ]);
+ *      group.play();
+ *
+ *  Members are given as cartoon objects, or as anything jQuery accepts for a screen element.
+ *  The group goes by the clock of its first member. A member may be given as a spec object
+ *  { cartoon: member, ... } instead, with one of
+ *
+ *      offset: ms                          start playing this long after the group
+ *      startAt: { cartoon: member, seqno: n }
+ *                                          start playing once the other member arrives at
+ *                                          sequence number n
+ *
+ *  A member which is destroy()ed drops out of the group. Members waiting for it to arrive at
+ *  their startAt sequence number start right away if the group is playing.
+ *
+ *  The group object offers these methods, which return the group object for chaining:
+ *
+ *      play()                  starts playing all members on a shared clock
+ *      stop()                  stops playing all members
+ *      rewind()                rewinds all members; a playing group starts over
+ *      skipTo(seqno)           displays the given sequence number on all members
+ *      add(member)             adds a member
+ *      remove(member)          removes a member, leaving its cartoon as it is (does nothing
+ *                              if it's not a member, or has no cartoon)
+ *
+ *  and these which return something else:
+ *
+ *      getMembers()            returns an array of the members' cartoon objects
+ *      isPlaying()             returns whether the group is playing, i.e. was play()ed and
+ *                              has members which haven't finished yet
+ *
+ *
+ *  Events
+ *  ======
+ *
+ *  The cartoon triggers these jQuery events on the screen element, in the "cartoon" namespace:
+ *
+ *      play.cartoon            playback started
+ *      stop.cartoon            playback stopped, by stop() or because the sequence has ended
+ *      frame.cartoon           a frame was displayed by step(), play() or skipTo()
+ *      loop.cartoon            playback wrapped around to the start of the sequence
+ *      end.cartoon             the last frame was displayed (the onLastFrame callback)
+ *      destroy.cartoon         the cartoon is about to be destroyed
+ *
+ *  Handlers get the cartoon object after the event object. Frame event handlers also get the
+ *  sequence number and the frame number. Frames which are skipped because playback has fallen
+ *  behind don't trigger frame events, while the loop and end events are never skipped.
+ *
+ *      $("#id").on("frame.cartoon", function (event, cartoon, seqno, frameno) { ... });
+ *
+ *
+ *  Renderers
+ *  =========
+ *
+ *  A renderer puts the frames onto the screen element. Two come with the plugin: "css" moves the
+ *  screen element's background image by background-position, "canvas" draws the frames onto a
+ *  <canvas> element filling the screen element (whose background image is hidden meanwhile).
+ *  See the renderer option.
+ *
+ *  A custom renderer is made by a function (screen, settings) which gets the screen element
+ *  (as a jQuery object) and the cartoon's settings, and returns an object with these methods:
+ *
+ *      render(frame)           displays a frame, described by an object with the properties
+ *          x, y, width, height     the frame's rectangle within the source image, in CSS
+ *                                  pixels at a scale of 1 (that is, divided by the pixel ratio)
+ *          scaleX, scaleY          the factors by which to enlarge the frame for display
+ *          ratio                   the pixel ratio of the source image
+ *          resize                  whether to size the screen element to the frame
+ *          image                   the source image as an object { element, url, width, height }
+ *                                  with the <img> element and its size in CSS pixels at a scale
+ *                                  of 1, or null if it is not loaded yet
+ *          fade                    the duration in ms of a crossfade from the frame displayed
+ *                                  before, or 0 to just cut to the frame (see transition)
+ *      destroy()               cleans up, when the cartoon is destroyed or gets another renderer
+ *
  *
  *  Options
  *  =======
@@ -78,27 +254,170 @@
  *      mode: "movie" | "sequence" | "varsequence"
  *          "seq" is an alias for "sequence", and "varseq" is an alias for "varsequence"
  *          Default is "movie".
+ *      src: the URL of the source image
+ *          Sets the background image of the screen element. If not set, the background image
+ *          from the screen element's CSS is used. Either way, it is preloaded (see ready()).
+ *      autoplay: true | false
+ *          whether to play() the cartoon right away, which starts playback once the cartoon
+ *          is ready(). default is false
+ *      state: a snapshot as returned by getState()
+ *          brings the cartoon to the state in the snapshot right away, like setState() does,
+ *          e.g. to hydrate a page rendered on the server. default is null
+ *      srcset: image candidates with their pixel densities, like "sheet.png 1x, sheet@2x.png 2x"
+ *          Overrides src. The candidate is chosen by the device pixel ratio (times scale): the
+ *          one with the lowest density that is high enough, or else the one with the highest.
+ *          Its density becomes the pixel ratio, see pixelRatio. A candidate without a density
+ *          is taken for 1x. default is null
  *      width: the width of a frame in the source image
- *          default is the width of the screen element
+ *          default is the width of the screen element divided by scale (once the cartoon is
+ *          ready())
  *      height: the height of a frame in the source image
- *          default is the height of the screen element
- *      orientation: "h" | "v"
+ *          default is the height of the screen element divided by scale (once the cartoon is
+ *          ready())
+ *      orientation: "h" | "v" | "grid"
  *          "h" if the frames in the source image are composed to a row (horizontally arranged),
- *          "v" if the frames in the source image are composed to a column (vertically arranged)
+ *          "v" if the frames in the source image are composed to a column (vertically arranged),
+ *          "grid" if the frames in the source image are composed to several rows
  *          default is "h"
+ *      columns: the number of frames per row in the source image
+ *          only used with orientation "grid". If not set, this is figured out from the width
+ *          of the source image, otherwise it MUST be set.
+ *      rows: the number of rows in the source image
+ *          only used with orientation "grid". If not set, this is figured out from the height of
+ *          the source image. In movie mode, frameCount defaults to columns * rows.
+ *      atlas: atlas descriptor object | URL
+ *          A TexturePacker (JSON hash or JSON array) or Aseprite export, or the URL to load it
+ *          from with $.ajax. The frames are numbered in order of appearance in the descriptor.
+ *          Each frame is displayed from its own rectangle (offsetX and offsetY still apply), and
+ *          the screen element is resized to the frame's size. Rotated frames are not supported.
+ *          If a frame has a duration, it replaces the delay after that frame in movie and
+ *          sequence mode. In movie mode, frameCount defaults to the number of atlas frames.
+ *          Wherever a frame number is expected, an atlas frame name may be given instead.
+ *          default is null
  *      offsetX:
  *      offsetY:
  *
+ *      pixelRatio: the number of image pixels per CSS pixel in the source image, e.g. 2 for
+ *          an @2x sheet. width, height, offsetX and offsetY are always given in CSS pixels (that
+ *          is, like for a 1x sheet), while the atlas is taken to be in image pixels. The
+ *          background-size of the screen element is set to fit the sheet into CSS pixels.
+ *          Ignored if srcset is set. default is 1
+ *      scale: the factor by which the frames are displayed enlarged (or reduced)
+ *          The background-size and the offsets are scaled accordingly. The screen element is
+ *          expected to be sized by CSS, except with an atlas. default is 1
+ *      fit: true | false
+ *          whether to scale the frames to fill the screen element, whatever its size. The scale
+ *          factors (horizontal and vertical, so the frames may be distorted) are recomputed
+ *          whenever the screen element is resized, and scale is ignored. With an atlas, the
+ *          screen element is not resized to each frame's size. As the screen element's size is
+ *          no indication of the frame size here, width and height should be set explicitly.
+ *          default is false
+ *      renderer: "css" | "canvas" | function (screen, settings)
+ *          how to display the frames, see Renderers above. default is "css"
+ *      transition: { type: "crossfade", duration: ms }
+ *          blends each frame into the next one instead of cutting hard, when play()ing and
+ *          step()ping as well as when configure() changes the sequence (or the mode). The blend
+ *          takes the given duration, or the delay to the next frame if that is shorter. Without
+ *          a duration, it takes the whole delay. skipTo() and seeking still cut. default is null
+ *      smoothing: true | false
+ *          whether scaled frames are smoothed. Set this to false for crisp pixel art.
+ *          default is true
+ *
  *      onLastFrame: function (cartoon)
  *          a callback to be invoked once the last frame is displayed. the cartoon object is
  *          passed as an argument. if the cartoon is played in a loop, the invocation takes place
  *          once per loop. default is null
+ *      onPlay: function (cartoon)
+ *      onStop: function (cartoon)
+ *      onFrame: function (cartoon, seqno, frameno)
+ *      onLoop: function (cartoon)
+ *          callbacks for the play, stop, frame and loop events (see below), invoked before the
+ *          event is triggered. default is null
+ *      onRender: function (cartoon, frame, frameno)
+ *          a callback to be invoked whenever a frame is about to be displayed, with the frame
+ *          object a renderer gets (see Renderers) and the frame number. If it returns false,
+ *          the renderer is skipped. default is null
+ *      clock: { now: function (), setTimeout: function (fn, ms), clearTimeout: function (id) }
+ *          the time source to play by, in place of the page's (see Timing). now() returns the
+ *          current time in ms, the others work like window.setTimeout() and clearTimeout().
+ *          Not part of getState() snapshots. default is null
+ *      cues: { at: function (cartoon, seqno, frameno), ... }
+ *          cue points, like addCue() adds them: callbacks to be invoked whenever the cartoon
+ *          arrives at the given sequence number or, for a key which is not a number, at a frame
+ *          with the given atlas frame name. Not part of getState() snapshots. default is null
  *      loop: true | false
  *          whether to display the animation in a loop, i.e. start over at the end
  *      loopDelay: the delay between the last frame and the first
  *          if loop == true, you can use this to specify a custom delay when the movie starts over,
  *          otherwise it defaults the standard delay
  *          a value of 0 is treated as if this option were not present
+ *      direction: "forward" | "reverse" | "alternate"
+ *          the direction in which the sequence is played. "alternate" plays it forward, then
+ *          backward (ping-pong); one such round trip counts as one pass through the sequence,
+ *          so onLastFrame is invoked and loopDelay applies when arriving back at the start.
+ *          default is "forward"
+ *      playbackRate: a multiplier for the playback speed
+ *          All delays (including the varsequence delays and loopDelay) are divided by the
+ *          absolute value. A negative value plays in the opposite of the configured direction.
+ *          default is 1
+ *      animations: { name: clip, ... }
+ *          Named animations (clips) on the same source image, to be played by playAnimation().
+ *          Each clip is an object with these optional properties:
+ *              sequence            the clip's sequence, with mode defaulting to "sequence"
+ *              from, to            the first and last frame number (or atlas frame name) of
+ *                                  the clip, as an alternative to sequence; from defaults to
+ *                                  the first frame, to to the last one (which takes the frame
+ *                                  count to be known)
+ *              mode, delay, fps, loopDelay, direction, playbackRate
+ *                                  like the options of the same name
+ *              loop                whether to play the clip in a loop, default is false
+ *              next                the name of the clip to switch over to once this one has
+ *                                  ended (ignored for looping clips)
+ *          Whatever a clip doesn't specify is taken from the configuration the cartoon had
+ *          before the first clip was played. default is null
+ *      driver: "timer" | "scroll" | "drag"
+ *          what moves the cartoon along its sequence. "timer" is the normal play()back. With
+ *          "scroll", the sequence position follows the screen's progress through the viewport
+ *          while the page is scrolled: the first frame shows as its top edge enters the viewport
+ *          from below, the last one as its bottom edge leaves at the top. With "drag", dragging
+ *          horizontally across the screen (with the mouse, a pen or a finger) steps through the
+ *          sequence, forward when dragging to the right. With loop == true, both wrap around at
+ *          the ends of the sequence. The position is set by skipTo(), so the frame events fire
+ *          as usual. play() does nothing while a driver other than "timer" is in charge, and
+ *          configure()ing a different driver takes effect immediately. default is "timer"
+ *      dragDistance: the distance in pixels to drag for one step through the sequence
+ *          A negative value reverses the drag direction. The default of 0 means the width of the
+ *          screen divided by the length of the sequence, so that dragging across the whole screen
+ *          passes through the whole sequence once (that's one full turn for a 360° spin).
+ *      inertia: true | false
+ *          whether the sequence keeps gliding on (and slowing down) after a drag is released,
+ *          like it had been given a push. default is false
+ *      pauseWhenHidden: true | false
+ *          whether to stop() playing while the screen is scrolled out of the viewport or the
+ *          page is hidden (e.g. in a background tab), and to go on where playback left off once
+ *          it's visible again. A play() while hidden starts playback only when it becomes visible.
+ *          A cartoon stop()ped by the user stays stopped. The stop and play events fire as usual.
+ *          default is false
+ *      reducedMotion: "respect" | "ignore"
+ *          whether to honor the user's wish for reduced motion, i.e. the media query
+ *          (prefers-reduced-motion: reduce). While it matches, play() doesn't animate, but
+ *          displays the poster frame and invokes onLastFrame (and triggers the end event)
+ *          right away. If it starts to match during playback, playback is stopped that way;
+ *          if it stops matching, a cartoon that was meant to be playing starts playing.
+ *          default is "respect"
+ *      posterFrame: the frame number (or atlas frame name) to display instead of the animation
+ *          when reduced motion is requested. default is null, meaning the frame at the end of
+ *          the sequence
+ *      restoreOnDestroy: true | false
+ *          whether destroy() restores the inline style of the screen element to what it was
+ *          before the cartoon was set up, e.g. removing the background-position. Otherwise, the
+ *          frame at the beginning remains displayed. default is false
+ *      validation: "strict" | "warn"
+ *          how invalid options are dealt with. Each option's type and range is checked, as are
+ *          the entries of the sequence. With "strict", an error naming the offending option (and
+ *          the index of the offending sequence entry) is thrown by $.error(), and configure()
+ *          leaves the configuration as it was. With "warn", a warning is logged to the console
+ *          instead, and the invalid option is ignored. default is "strict"
  *      skipFirst: skip the first sequence number
  *          This applies only to the very first play() after the cartoon was set up. When looping or
  *          rewind()ing, the first frame will always be shown. The idea is that the first frame
@@ -112,8 +431,19 @@
  *      fps: frames per seconds
  *          Overrides delay and sets it to 1000/fps. Not set by default, but delay defaults to 100 ms
  *          which translates to 10 fps. Should not exceed 100 or so, MUST not exceed 1000.
+ *      easing: the name of an easing in $.easing (like "swing", or those of jQuery UI) | function
+ *          Spreads the timing of the frames over a pass through the sequence by the easing, so
+ *          playback may speed up and slow down, e.g. "easeInOutQuad". A function is called like
+ *          those in $.easing, with the fraction of the time as the first argument, and returns
+ *          the fraction of the pass. It should not overshoot (or the frames in question are
+ *          skipped). Replaces delay and the atlas frames' durations. default is null
+ *      duration: the time in ms one pass through the sequence takes with easing
+ *          Also spreads the frames evenly over that time if no easing is given. default is 0,
+ *          meaning the length of the sequence times the delay
  *      frameCount: number of frames in the source image
- *          You MUST set this option, otherwise the cartoon will not run.
+ *          If not set, this is figured out from the atlas or from the size of the source image
+ *          (which must be loaded for this, see ready()). If neither is available, you MUST set
+ *          this option, otherwise the cartoon will not run.
  *
  *  Sequence mode options
  *  ---------------------
@@ -135,405 +465,3262 @@
  *          is played only once, if the last frame number is followed by another delay (i.e.
  *          sequence.length is even), this overrides the loopDelay setting (TODO: want that?)
  *
+ *  Compact sequences
+ *  -----------------
+ *      Instead of an array, the sequence may be given in a compact notation, as a string of
+ *      comma-separated terms:
+ *
+ *          7               frame 7
+ *          0-11            frames 0 through 11
+ *          13-8            frames 13 down to 8
+ *          12x3            frame 12, three times (0-3x2 repeats a range)
+ *          4@500           frame 4, held for 500 ms (0-3@50 holds each frame of a range)
+ *
+ *      like "0-11, 12x3, 13-8, 4@500". The same terms may be given as an array of objects
+ *      { frame } or { from, to }, with optional repeat and hold properties, mixed with plain
+ *      frame numbers (and atlas frame names), like [{ from: 0, to: 11 }, { frame: 4, hold: 500 }].
+ *
+ *      This is compiled to a plain sequence when the option is set. If there are holds, the mode
+ *      becomes "varsequence", where the frames without a hold get the delay configured at that
+ *      time (and the last one, unless held, is followed by the loop delay as usual). Otherwise,
+ *      movie mode becomes "sequence" mode. Syntax errors are reported with their position.
+ *
  *
  */
 
 (function ($) {
 
 
-    /****   Auxiliary functions that need not be part of the inner closure.     ****/
+    /****   Clocks.   ****/
 
 
-        /** Creates a default settings object for the given screen
-         *  usable as a base for further adjustments.
+        /* Tickers are objects of the form { due: time, tick: function (now) }. While a ticker
+         *  is scheduled, its tick function is called on every tick of its clock at or after its
+         *  due time.
          */
-        function default_settings(screen) {
-            return {
-                mode: "movie",
-                width: screen.width(),
-                height: screen.height(),
-                orientation: "h",
-                offsetX: 0,
-                offsetY: 0,
-                delay: 100,
-                frameCount: 0,
-                skipFirst: false,
-                loop: false,
-                loopDelay: 0,
-                sequence: null,
-                onLastFrame: null
-            };
-        }
 
+        /* lag in ms beyond which a ticker is considered to have been paused rather than late */
+        var MAX_LAG = 1000;
 
+        /* the number of steps over which stop({ gentle: true }) slows playback down */
+        var BRAKE_STEPS = 5;
 
+        var raf = window.requestAnimationFrame;
+        var caf = window.cancelAnimationFrame;
 
-        /** Merges the settings passed into the target settings
-         *  after some sanity checks and adjustments.
+
+
+
+        /** Creates a clock ticking by the time source given by the clock option, an object
+         *  { now, setTimeout, clearTimeout }, or if that's null, by requestAnimationFrame (or
+         *  setTimeout in environments without it) and the page's performance timer.
          *
-         *  We have this separate from configure() to retain the free
-         *  choice of the target object.
+         *  Returns an object { now, schedule, unschedule }: now() returns the current time in ms,
+         *  schedule(ticker) adds a ticker to the clock, and unschedule(ticker) removes it.
          */
-        function merge_settings(target, settings) {
-            if (!settings) return;
+        function make_clock(source) {
+            var timer = source || window;
+            var animated = source === null && raf;
+            var tickers = [];
+            var tick_request = null;
 
-            // translate fps to delay; non-numeric values are rejected
-            if (settings.fps) {
-                settings.fps *= 1;
-                if (settings.fps) settings.delay = 1000 / settings.fps;
-            }
-
-            // adjust delay for minimum; non-numeric values are rejected
-            if (settings.delay) {
-                settings.delay *= 1;
-                if (settings.delay) {
-                    if (settings.delay < 10) settings.delay = 10;
-                } else {
-                    delete settings.delay;
-                }
-            }
 
-            // allow abbreviations for the mode word
-            if (settings.mode) {
-                if (settings.mode.toLowerCase().indexOf("seq") === 0)
-                    settings.mode = "sequence";
-                if (settings.mode.toLowerCase().indexOf("var") === 0)
-                    settings.mode = "varsequence";
+            function now() {
+                if (source !== null) return source.now();
+                return window.performance && window.performance.now ?
+                    window.performance.now() : new Date().getTime();
             }
 
-            // merge with target
-            $.extend(target, settings);
-        }
-
 
+            /* calls all tickers which are due, then requests the next tick if there are any left */
+            function tick() {
+                var t = now();
 
+                tick_request = null;
 
+                // work on a copy, as tickers may be unscheduled from within their tick function
+                $.each(tickers.slice(), function (i, ticker) {
+                    if (ticker.due <= t && $.inArray(ticker, tickers) !== -1) ticker.tick(t);
+                });
 
+                request_tick();
+            }
 
 
-    /** Cartoon setup function which attaches a cartoon object to the element on which it is called.
-     *  Returns the cartoon object, on which methods can then be called.
-     *
-     *  The settings are used to modify the builtin default settings. It's a simple key-value map with
-     *  the keys being the documented options.
-     *
-     *  If there already is a cartoon object initialised for this element, that one is retrieved and
-     *  returned. In this case, the settings, if supplied, are merged into the existing settings. This
-     *  can be used to modify settings on an operational cartoon. Take care not to mess things up if
-     *  you do this.
-     */
+            /* requests the next tick, unless one is already pending or nobody needs it; without
+             *  requestAnimationFrame, the timeout is set to the earliest due time */
+            function request_tick() {
+                var due = Infinity;
 
-    $.fn.cartoon = function (settings) {
+                if (tick_request !== null || !tickers.length) return;
 
-        var screen, state, s, cartoon;
+                if (animated) {
+                    tick_request = raf.call(window, tick);
+                } else {
+                    $.each(tickers, function (i, ticker) { due = Math.min(due, ticker.due); });
+                    tick_request = timer.setTimeout(tick, Math.max(0, due - now()));
+                }
+            }
 
 
+            function cancel_tick() {
+                if (tick_request === null) return;
 
+                if (animated) {
+                    caf.call(window, tick_request);
+                } else {
+                    timer.clearTimeout(tick_request);
+                }
 
-        /** Modifies the configuration of the cartoon.
-         *  The argument is the same as passed to the cartoon creation function.
-         *
-         *  This will modify the settings of a running cartoon without further questions.
-         *  This may or may not have immediate effect. Take care not to mess things up.
-         *  To be on the safe side, stop() the cartoon, then configure(), then rewind()
-         *  before play()ing.
-         */
-        function configure(settings) {
-            merge_settings(s, settings);
-            return this;
-        }
+                tick_request = null;
+            }
 
 
+            function schedule(ticker) {
+                if ($.inArray(ticker, tickers) === -1) tickers.push(ticker);
 
+                // the new ticker may be due before the pending timeout fires
+                cancel_tick();
+                request_tick();
+            }
 
-        /** Deals the CSS to display the frame with the given number.
-         *
-         *  Does nothing if the frame number is null (a convenience especially for you).
-         *  Does not check if there actually is a frame with that number.
-         *  Does not interfere with the sequence status in any way.
-         */
-        function display_frame(frameno) {
-            var x, y;
 
-            if (frameno === null) return;
+            function unschedule(ticker) {
+                var i = $.inArray(ticker, tickers);
 
-            if (s.orientation.charAt(0) === "h") {
-                x = -(frameno * s.width + s.offsetX);
-                y = -s.offsetY;
-            } else {
-                x = -s.offsetX;
-                y = -(frameno * s.height + s.offsetY);
+                if (i !== -1) tickers.splice(i, 1);
+                if (!tickers.length) cancel_tick();
             }
 
-            screen.css("background-position", x.toString() + "px " + y.toString() + "px");
+
+            return { now: now, schedule: schedule, unschedule: unschedule };
         }
 
 
+        /* the clocks in use, by their sources, with the number of cartoons using them; the first
+         *  one is shared by all cartoons which aren't given a clock option, and is always kept */
+        var clocks = [{ source: null, clock: make_clock(null), users: 0 }];
 
 
-        /** Maps sequence numbers to frame numbers according to the configured playback mode.
-         *
-         *  Performs sanity checks on the sequence number and returns null, if it's not in
-         *  range of the sequence. Note that 0 is a valid frame number, so you have to use
-         *  === null when checking the return value.
+
+
+        /** Returns the clock for the time source given by the clock option (see make_clock()).
+         *  Cartoons given the same time source share one clock.
          */
-        function seq2frame(seqno) {
-            var frameno;
+        function clock_for(source) {
+            var clock = null;
 
-            /* sanitize for lower bound */
-            if (seqno < 0) seqno = 0;
+            source = source || null;
+            $.each(clocks, function (i, entry) {
+                if (entry.source === source) clock = entry.clock;
+                return clock === null;
+            });
 
-            /* lookup the frame number assigned to the sequence number, thereby sanitizing for the
-             *  upper sequence number bound */
-            switch (s.mode) {
-                case "movie":
-                    // in movie mode, the frameno equals the seqno
-                    if (seqno >= s.frameCount) return null;
-                    frameno = seqno;
-                    break;
-                case "sequence":
-                    if (seqno >= s.sequence.length) return null;
-                    frameno = s.sequence[seqno];
-                    break;
-                case "varsequence":
-                    if (seqno >= Math.floor((s.sequence.length + 1) / 2)) return null;
-                    frameno = s.sequence[2 * seqno];
-                    break;
-                //default: return null;
+            if (clock === null) {
+                clock = make_clock(source);
+                clocks.push({ source: source, clock: clock, users: 0 });
             }
 
-            return frameno;
+            return clock;
         }
 
 
 
 
-        /** Displays the frame with the given frame number.
-         *
-         *  Does not check if there actually is a frame with that number. If there's not,
-         *  you'll probably won't see anything.
-         *
-         *  Does not change the status of the cartoon, in particular doesn't stop the
-         *  cartoon if it's currently playing or modify its sequence number.
+        /** Counts a cartoon starting (count 1) or ceasing (count -1) to use the clock. A clock no
+         *  longer used is forgotten, so its time source can be garbage collected.
          */
-        function displayFrame(frameno) {
-            display_frame(frameno);
-            return this;
-        }
-
+        function hold_clock(clock, count) {
+            $.each(clocks, function (i, entry) {
+                if (entry.clock !== clock) return;
 
+                entry.users += count;
+                if (entry.users <= 0 && entry.source !== null) clocks.splice(i, 1);
+                return false;
+            });
+        }
 
 
-        /** Displays the frame assigned to the given sequence number.
-         *
-         *  Performs sanity checks on the sequence number and adjusts it, if it's not in
-         *  range of the configured sequence. (details remain unspecified and are subject to change)
-         *
-         *  Does not stop the cartoon if it's currently playing.
-         */
-        function skipTo(seqno) {
-            var frameno = seq2frame.call(this, seqno);
 
-            if (frameno !== null) {
-                display_frame(frameno);
-                this._state.seqno = seqno;
-            }
-            // else?
 
-// TODO: invoke onLastFrame callback
 
-            return this;
-        }
 
 
+    /****   Auxiliary functions that need not be part of the inner closure.     ****/
 
 
-        /** Rewinds the cartoon to the beginning, i.e. sequence number 0.
-         *  Does not stop the cartoon if it's currently playing.
-         */
-        function rewind() {
-            return this.skipTo(0);
-        }
+        /* the settings which make up an animation clip, see apply_animation() */
+        var CLIP_KEYS = ["mode", "sequence", "delay", "loop", "loopDelay", "direction", "playbackRate"];
 
+        /* maps event types to the names of the options holding their callbacks */
+        var CALLBACKS = {
+            play: "onPlay",
+            stop: "onStop",
+            frame: "onFrame",
+            loop: "onLoop",
+            end: "onLastFrame"
+        };
 
+        /* the settings a snapshot taken by getState() leaves out, even when they aren't set */
+        var UNSTORED = $.map(CALLBACKS, function (name) { return name; })
+            .concat(["onRender", "state", "clock", "cues"]);
 
 
-        /** Advances the animation by one step.
-         *
-         *  Adjusts status accordingly (updates seqno).
-         *
-         *  Returns a number indicating the animation progress:
-         *      0   - no more frames to play (nothing changed)
-         *      1   - ok, next frame in sequence displayed
-         *      2   - like 1, and this is the last frame in the sequence (callback triggered)
-         *      3   - like 1, and we just wrapped around
-         *
+        /** Creates a default settings object for the given screen
+         *  usable as a base for further adjustments.
          */
-        function step() {
-            var seqno = state.seqno;
-            var seqlen;
-            var progress;
-
-
-            /* figure out the sequence length */
-            switch (s.mode) {
-                case "movie":
-                    seqlen = s.frameCount;
-                    break;
-                case "sequence":
-                    seqlen = s.sequence.length;
-                    break;
-                case "varsequence":
-                    seqlen = Math.floor((s.sequence.length + 1) / 2);
-                    break;
-            }
+        function default_settings(screen) {
+            return {
+                mode: "movie",
+                width: screen.width(),
+                height: screen.height(),
+                orientation: "h",
+                columns: 0,
+                rows: 0,
+                offsetX: 0,
+                offsetY: 0,
+                srcset: null,
+                pixelRatio: 1,
+                scale: 1,
+                fit: false,
+                renderer: "css",
+                transition: null,
+                smoothing: true,
+                delay: 100,
+                frameCount: 0,
+                skipFirst: false,
+                loop: false,
+                loopDelay: 0,
+                direction: "forward",
+                playbackRate: 1,
+                sequence: null,
+                atlas: null,
+                animations: null,
+                driver: "timer",
+                dragDistance: 0,
+                inertia: false,
+                pauseWhenHidden: false,
+                reducedMotion: "respect",
+                posterFrame: null,
+                restoreOnDestroy: false,
+                validation: "strict",
+                onLastFrame: null,
+                onPlay: null,
+                onStop: null,
+                onFrame: null,
+                onLoop: null,
+                onRender: null,
+                clock: null,
+                cues: null,
+                easing: null,
+                duration: 0
+            };
+        }
 
 
-            /* make up the next sequence number to be displayed,
-             *  not yet taking sequence range into account */
-            if (seqno === null) {
-                seqno = s.skipFirst ? 1 : 0;
-            } else {
-                seqno++;
-            }
 
 
-            /* adjust seqno for the upper range bound and set status accordingly */
-            if (seqno >= seqlen) {
-                // the new seqno is beyond sequence range
-                //  wrap around if looping is enabled
-                if (s.loop) {
-                    seqno = 0;
-                    progress = 3
-                } else {
-                    progress = 0;
-                }
-            } else if (seqno === seqlen - 1) {
-                // the new seqno is the last one in the sequence
-                progress = 2;
-            } else {
-                // just any seqno
-                progress = 1;
-            }
+        /** Reports an invalid setting, either by throwing an error or, if validation is
+         *  "warn", by logging a warning to the console.
+         */
+        function report(validation, message) {
+            if (validation !== "warn") $.error(message);
+            if (window.console && window.console.warn) window.console.warn("Cartoon: " + message);
+        }
 
 
-            /* display the thing (unless nothing to display) */
-            if (progress !== 0) {
-// TODO: check seq2frame return value
-                display_frame(seq2frame.call(this, seqno));
-                state.seqno = seqno;
-            }
 
-            /* invoke last frame callback */
-            if (progress === 2 && s.onLastFrame) s.onLastFrame(this);
 
-            return progress;
+        /** Returns whether the value is an array, even one from another window.
+         */
+        function is_array(value) {
+            return Object.prototype.toString.call(value) === "[object Array]";
         }
 
 
 
 
-        /** Starts playing the cartoon.
-         *
-         *  Continues with the sequence number following that where it left off. If the end of the
-         *  sequence was already reached before and looping is disabled, this won't have any effect.
-         *  In that case, use rewind() first.
+        /** Returns a string showing the value in an error message.
          */
-        function play() {
-            var that = this;
+        function show(value) {
+            if (typeof value === "string") return '"' + value + '"';
+            if (value === null || typeof value !== "object" && typeof value !== "function")
+                return String(value);
+            return is_array(value) ? "an array" : typeof value === "object" ? "an object" : "a function";
+        }
 
 
-            function X() {
-                var progress;
-                var delay;
 
 
-                progress = that.step();
+        /** Returns a validator accepting numbers (or numeric strings) in the given range,
+         *  optionally integers only.
+         */
+        function number_in(min, max, integer) {
+            return function (value) {
+                var n = typeof value === "string" && value !== "" ? value * 1 : value;
 
-                switch (progress) {
-                    case 0:
-                        state.timeout = null;
-                        return;
-                    case 1:
-                    case 3:
-                        // regular timeout
-                        if (s.mode === "varsequence") {
-                            // note: seqno was already updated by step() which is what we want
-                            delay = s.sequence[2 * that._state.seqno + 1];
-                        } else {
-                            delay = s.delay;
-                        }
+                if (typeof n !== "number" || isNaN(n) || (integer && n % 1) || n < min || n > max) {
+                    return (integer ? "an integer" : "a number") +
+                        (max === Infinity ? (min === -Infinity ? "" : " of at least " + min) :
+                            " from " + min + " to " + max);
+                }
+            };
+        }
 
-                        break;
 
-                    case 2:
-                        // last seqno: set loop timeout if loop enabled, otherwise stop
-                        if (s.loop) {
-                            if (s.mode === "varsequence") {
-                                // note: seqno was already updated by step() which is what we want
-                                delay = s.sequence[2 * that._state.seqno + 1] || s.loopDelay || s.delay || 1000;
-                            } else {
-                                delay = s.loopDelay || s.delay || 1000;
-                            }
-
-                        } else {
-                            state.timeout = null;
-                            return;
-                        }
 
-                        break;
-                }
 
-                state.timeout = window.setTimeout(X, delay);
-            }
+        /** Validates numbers (or numeric strings) above 0.
+         */
+        function positive(value) {
+            if (number_in(0, Infinity)(value) || value * 1 === 0) return "a number above 0";
+        }
 
 
-            // already playing?
-            if (state.timeout !== null) return this;
 
 
-            X();
+        /** Returns a validator accepting one of the given values (strings are compared
+         *  case-insensitively).
+         */
+        function one_of(values) {
+            return function (value) {
+                var v = typeof value === "string" ? value.toLowerCase() : value;
 
-            return this;
+                if ($.inArray(v, values) === -1) return "one of " + $.map(values, show).join(", ");
+            };
         }
 
 
 
 
-        /** Stops playing the cartoon.
-         *  Does not change the current sequence position.
+        /** Returns a validator accepting values of the given type (as told by typeof) or null.
          */
-        function stop() {
-            if (state.timeout !== null) {               // can the timeoutID actually be 0?
-                window.clearTimeout(state.timeout);
-                state.timeout = null;
-            }
-
-            return this;
+        function type_of(type) {
+            return function (value) {
+                if (value !== null && typeof value !== type) return "a " + type + " or null";
+            };
         }
 
 
 
 
-        /** Returns the cartoon's current sequence number, i.e. the position within the animation.
+        /* Validators for the options. Each returns a description of what's expected
+         *  if the value is invalid, or nothing if it's fine. */
+        var VALIDATORS = {
+            mode: one_of(["movie", "sequence", "seq", "varsequence", "varseq"]),
+            width: number_in(1, Infinity),
+            height: number_in(1, Infinity),
+            orientation: one_of(["h", "v", "grid", "horizontal", "vertical"]),
+            columns: number_in(0, Infinity, true),
+            rows: number_in(0, Infinity, true),
+            offsetX: number_in(-Infinity, Infinity),
+            offsetY: number_in(-Infinity, Infinity),
+            srcset: function (value) {
+                if (value !== null && (typeof value !== "string" || parse_srcset(value) === null))
+                    return 'a list of image URLs with pixel densities, like "a.png 1x, a@2x.png 2x", or null';
+            },
+            pixelRatio: positive,
+            scale: positive,
+            fit: type_of("boolean"),
+            renderer: function (value) {
+                if (typeof value !== "function" && !RENDERERS.hasOwnProperty(value))
+                    return '"css", "canvas" or a function';
+            },
+            smoothing: type_of("boolean"),
+            transition: function (value) {
+                if (value !== null && (!$.isPlainObject(value) || value.type !== "crossfade" ||
+                    value.duration !== undefined && number_in(0, Infinity)(value.duration)))
+                    return '{ type: "crossfade", duration: ms } or null';
+            },
+            delay: number_in(10, Infinity),
+            fps: function (value) {
+                if (number_in(0, 1000)(value) || value * 1 === 0) return "a number above 0 up to 1000";
+            },
+            frameCount: number_in(0, Infinity, true),
+            skipFirst: type_of("boolean"),
+            loop: type_of("boolean"),
+            loopDelay: number_in(0, Infinity),
+            direction: one_of(["forward", "reverse", "alternate"]),
+            playbackRate: function (value) {
+                if (number_in(-Infinity, Infinity)(value) || value * 1 === 0) return "a number other than 0";
+            },
+            sequence: function (value) {
+                if (value !== null && !is_array(value) && typeof value !== "string")
+                    return "an array, a string or null";
+            },
+            atlas: function (value) {
+                if (value !== null && typeof value !== "object" && typeof value !== "string")
+                    return "an object, a URL or null";
+            },
+            animations: function (value) {
+                var invalid;
+
+                if (value === null) return;
+                if (!$.isPlainObject(value)) return "an object or null";
+
+                $.each(value, function (name, clip) {
+                    if (!$.isPlainObject(clip)) invalid = name;
+                    return !invalid;
+                });
+                if (invalid) return "an object of clip objects, which '" + invalid + "' is not";
+            },
+            src: type_of("string"),
+            autoplay: type_of("boolean"),
+            state: function (value) {
+                if (value !== null && !$.isPlainObject(value)) return "a snapshot object or null";
+            },
+            driver: one_of(["timer", "scroll", "drag"]),
+            dragDistance: number_in(-Infinity, Infinity),
+            inertia: type_of("boolean"),
+            pauseWhenHidden: type_of("boolean"),
+            reducedMotion: one_of(["respect", "ignore"]),
+            posterFrame: function (value) {
+                if (value !== null && typeof value !== "string" && number_in(0, Infinity, true)(value))
+                    return "a frame number, an atlas frame name or null";
+            },
+            restoreOnDestroy: type_of("boolean"),
+            validation: one_of(["strict", "warn"]),
+            onLastFrame: type_of("function"),
+            onPlay: type_of("function"),
+            onStop: type_of("function"),
+            onFrame: type_of("function"),
+            onLoop: type_of("function"),
+            onRender: type_of("function"),
+            clock: function (value) {
+                if (value !== null && !(value && typeof value.now === "function" &&
+                    typeof value.setTimeout === "function" && typeof value.clearTimeout === "function"))
+                    return "an object with now, setTimeout and clearTimeout functions, or null";
+            },
+            easing: function (value) {
+                if (value !== null && typeof value !== "function" &&
+                    !(typeof value === "string" && $.easing[value]))
+                    return "the name of an easing in $.easing, a function or null";
+            },
+            duration: number_in(0, Infinity),
+            cues: function (value) {
+                var invalid;
+
+                if (value === null) return;
+                if (!$.isPlainObject(value)) return "an object or null";
+
+                $.each(value, function (at, callback) {
+                    if (typeof callback !== "function") invalid = at;
+                    return !invalid;
+                });
+                if (invalid) return "an object of functions, which '" + invalid + "' is not";
+            }
+        };
+
+        /* the options with numeric values, which may be given as strings */
+        var NUMERIC = ["width", "height", "columns", "rows", "offsetX", "offsetY", "delay", "fps",
+            "frameCount", "loopDelay", "playbackRate", "dragDistance", "pixelRatio", "scale",
+            "duration"];
+
+        /* the accepted mode words */
+        var MODES = { movie: "movie", sequence: "sequence", seq: "sequence",
+            varsequence: "varsequence", varseq: "varsequence" };
+
+
+
+
+        /** Checks the type and range of each setting passed. Invalid settings are reported,
+         *  and if that doesn't throw an error (see report()), dropped.
+         */
+        function validate_settings(settings, validation) {
+            $.each(settings, function (key, value) {
+                var expected = VALIDATORS.hasOwnProperty(key) && value !== undefined ?
+                    VALIDATORS[key](value) : null;
+
+                if (expected) {
+                    report(validation, "Invalid value for option '" + key + "': expected " +
+                        expected + ", got " + show(value));
+                    delete settings[key];
+                }
+            });
+        }
+
+
+
+
+        /** Parses a sequence in the compact notation, like "0-11, 12x3, 13-8, 4@500", into an
+         *  array of terms { frame } or { from, to }, with optional repeat and hold properties.
+         *  Returns a string describing the first syntax error and its position (counting
+         *  from 1) instead, if there is one.
+         */
+        function parse_sequence(text) {
+            var terms = [];
+            var pos = 0;
+            var term;
+
+
+            function blank() {
+                while (/\s/.test(text.charAt(pos))) pos++;
+            }
+
+
+            /* reads a number matching the pattern, or returns null */
+            function read(pattern) {
+                var m;
+
+                blank();
+                m = pattern.exec(text.substring(pos));
+                if (!m) return null;
+
+                pos += m[0].length;
+                return m[0] * 1;
+            }
+
+
+            /* reads the given character, if it's next */
+            function skip(c) {
+                blank();
+                if (text.charAt(pos) !== c) return false;
+
+                pos++;
+                return true;
+            }
+
+
+            function error(expected) {
+                return "at position " + (pos + 1) + ": expected " + expected;
+            }
+
+
+            do {
+                term = { frame: read(/^\d+/) };
+                if (term.frame === null) return error("a frame number");
+
+                if (skip("-")) {
+                    term = { from: term.frame, to: read(/^\d+/) };
+                    if (term.to === null) return error("a frame number");
+                }
+                if (skip("x")) {
+                    term.repeat = read(/^0*[1-9]\d*/);
+                    if (term.repeat === null) return error("a repeat count above 0");
+                }
+                if (skip("@")) {
+                    term.hold = read(/^0*[1-9]\d*(\.\d+)?/);
+                    if (term.hold === null) return error("a hold time in ms above 0");
+                }
+
+                terms.push(term);
+            } while (skip(","));
+
+            blank();
+            if (pos < text.length) return error('"," or the end');
+
+            return terms;
+        }
+
+
+
+
+        /** Compiles the sequence given in the compact notation (or as an array of terms) in the
+         *  settings to a plain sequence, setting the mode as needed. Problems are reported, and
+         *  if that doesn't throw an error (see report()), the sequence is dropped.
+         */
+        function compile_sequence(target, settings) {
+            var validation = settings.validation || target.validation;
+            var delay = settings.delay || target.delay;
+            var terms = settings.sequence;
+            var sequence = [];
+            var held = false;
+            var mode, problem;
+
+            if (typeof terms === "string") {
+                terms = parse_sequence(terms);
+                if (typeof terms === "string") problem = "Syntax error in option 'sequence' " + terms;
+            } else {
+                terms = $.map(terms, function (term, i) {
+                    if (typeof term === "number" || typeof term === "string") return { frame: term };
+                    if ($.isPlainObject(term) && (term.frame !== undefined ||
+                        typeof term.from === "number" && typeof term.to === "number") &&
+                        !number_in(1, Infinity, true)(term.repeat || 1) && !positive(term.hold || 1))
+                        return term;
+
+                    problem = problem || "Invalid entry in option 'sequence' at index " + i +
+                        ": expected a frame number, a frame name or a term object, got " + show(term);
+                });
+            }
+
+            if (problem) {
+                report(validation, problem);
+                delete settings.sequence;
+                return;
+            }
+
+            $.each(terms, function (i, term) {
+                if (term.hold) held = true;
+            });
+
+            mode = settings.mode || target.mode;
+            if (held) mode = "varsequence";
+            if (mode === "movie") mode = "sequence";
+
+            $.each(terms, function (i, term) {
+                var frames = term.frame !== undefined ? [term.frame] : range(term.from, term.to);
+                var n;
+
+                for (n = 0; n < (term.repeat || 1); n++) {
+                    $.each(frames, function (j, frameno) {
+                        sequence.push(frameno);
+                        if (mode === "varsequence") sequence.push(term.hold * 1 || delay);
+                    });
+                }
+            });
+
+            // the last frame is followed by the loop delay, unless held
+            if (mode === "varsequence" && !terms[terms.length - 1].hold) sequence.pop();
+
+            settings.mode = mode;
+            settings.sequence = sequence;
+        }
+
+
+
+
+        /** Merges the settings passed into the target settings
+         *  after some sanity checks and adjustments.
+         *
+         *  We have this separate from configure() to retain the free
+         *  choice of the target object.
+         */
+        function merge_settings(target, settings) {
+            if (!settings) return;
+
+            validate_settings(settings, settings.validation || target.validation);
+
+            // numbers may have been given as strings
+            $.each(NUMERIC, function (i, key) {
+                if (typeof settings[key] === "string") settings[key] *= 1;
+            });
+
+            // translate fps to delay, which still has its minimum
+            if (settings.fps) settings.delay = Math.max(1000 / settings.fps, 10);
+
+            // allow abbreviations for the mode word, and any case for the words
+            if (settings.mode) settings.mode = MODES[settings.mode.toLowerCase()];
+            if (settings.direction) settings.direction = settings.direction.toLowerCase();
+            if (settings.orientation) settings.orientation = settings.orientation.toLowerCase();
+            if (settings.driver) settings.driver = settings.driver.toLowerCase();
+
+            // compile the compact notation of the sequence
+            if (typeof settings.sequence === "string" || is_array(settings.sequence) &&
+                $.grep(settings.sequence, $.isPlainObject).length)
+                compile_sequence(target, settings);
+
+            // merge with target
+            $.extend(target, settings);
+        }
+
+
+
+
+        /** Returns the cartoon object attached to the screen element, or null if there is none.
+         *
+         *  As jQuery's data() falls back to data-* attributes, the data-cartoon attribute
+         *  of a declarative setup could be mistaken for a cartoon object otherwise.
+         */
+        function instance_of(screen) {
+            var cartoon = screen.data('cartoon');
+
+            return cartoon && typeof cartoon._playAt === "function" ? cartoon : null;
+        }
+
+
+
+
+        /** Returns the URL of the screen element's CSS background image, or null if it has none.
+         *  With multiple background images, this is the first one.
+         */
+        function background_url(screen) {
+            var m = /^url\((['"]?)(.*?)\1\)/.exec(screen.css("background-image") || "");
+
+            return m ? m[2] : null;
+        }
+
+
+
+
+        /** Parses a srcset-like list of image candidates, such as "sheet.png 1x, sheet@2x.png 2x",
+         *  into an array of { url, density } sorted by density. Returns null if it can't.
+         */
+        function parse_srcset(srcset) {
+            var candidates = [];
+            var valid = true;
+
+            $.each(srcset.split(","), function (i, candidate) {
+                var m = /^\s*(\S+)(?:\s+(\d*\.?\d+)x)?\s*$/.exec(candidate);
+
+                if (!m) return (valid = false);
+                candidates.push({ url: m[1], density: m[2] ? m[2] * 1 : 1 });
+            });
+
+            if (!valid || !candidates.length) return null;
+
+            return candidates.sort(function (a, b) { return a.density - b.density; });
+        }
+
+
+
+
+        /** Picks the image candidate (see parse_srcset()) with the lowest density that is at least
+         *  the given one, or else the one with the highest density.
+         */
+        function pick_source(candidates, density) {
+            var i;
+
+            for (i = 0; i < candidates.length; i++) {
+                if (candidates[i].density >= density) return candidates[i];
+            }
+
+            return candidates[candidates.length - 1];
+        }
+
+
+
+
+        /** Returns the fraction of the time at which the easing function reaches the given
+         *  fraction of the pass, found by bisection. The easing function is called like those
+         *  in $.easing, for a transition of the given duration.
+         */
+        function ease_inverse(ease, fraction, duration) {
+            var low = 0;
+            var high = 1;
+            var mid, i;
+
+            if (fraction <= 0) return 0;
+            if (fraction >= 1) return 1;
+
+            for (i = 0; i < 32; i++) {
+                mid = (low + high) / 2;
+                if (ease(mid, mid * duration, 0, 1, duration) < fraction) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+
+            return high;
+        }
+
+
+
+
+        /** Loads the image from the given URL.
+         *
+         *  Returns a promise which is resolved with the natural size of the image as an object
+         *  { width, height } and the <img> element once it is decoded, or rejected if it fails
+         *  to load.
+         */
+        function preload(url) {
+            var loaded = $.Deferred();
+            var img = new window.Image();
+
+
+            function resolve() {
+                loaded.resolve({
+                    width: img.naturalWidth || img.width,
+                    height: img.naturalHeight || img.height
+                }, img);
+            }
+
+
+            img.onload = function () {
+                // decoding ahead spares us a blank frame when the image is first displayed
+                if (img.decode) {
+                    img.decode().then(resolve, resolve);
+                } else {
+                    resolve();
+                }
+            };
+            img.onerror = function () {
+                loaded.reject();
+            };
+            img.src = url;
+
+            return loaded.promise();
+        }
+
+
+
+
+        /** Returns an array of the numbers from first through last, counting down if last < first.
+         */
+        function range(first, last) {
+            var result = [];
+            var d = first <= last ? 1 : -1;
+            var i;
+
+            for (i = first; i !== last + d; i += d) result.push(i);
+
+            return result;
+        }
+
+
+
+
+        /** Adds (or removes) a listener to a media query list, also where it only
+         *  knows the older addListener() API.
+         */
+        function listen(list, type, listener, add) {
+            if (list.addEventListener) {
+                list[add ? "addEventListener" : "removeEventListener"](type, listener);
+            } else {
+                list[add ? "addListener" : "removeListener"](listener);
+            }
+        }
+
+
+
+
+        /** Returns the media query list telling whether the user prefers reduced motion,
+         *  or null if media queries aren't supported.
+         */
+        function motion_query() {
+            return window.matchMedia ? window.matchMedia("(prefers-reduced-motion: reduce)") : null;
+        }
+
+
+
+
+        /* the events for dragging, as pointer events where supported, mouse and touch events otherwise */
+        var DRAG_EVENTS = window.PointerEvent ?
+            { start: "pointerdown", move: "pointermove", end: "pointerup pointercancel" } :
+            { start: "mousedown touchstart", move: "mousemove touchmove", end: "mouseup touchend touchcancel" };
+
+        /* the fraction of the glide speed retained per ms after a drag with inertia,
+         *  and the speed in steps per ms below which the glide comes to a halt */
+        var FRICTION = 0.997;
+        var MIN_GLIDE = 0.001;
+
+
+
+
+        /** Returns the horizontal viewport coordinate of a pointer, mouse or touch event.
+         */
+        function pointer_x(event) {
+            var e = event.originalEvent || event;
+            var touch = (e.touches && e.touches[0]) || (e.changedTouches && e.changedTouches[0]);
+
+            return (touch || e).clientX;
+        }
+
+
+
+
+        /** Normalizes an atlas descriptor into an object of the form
+         *
+         *      { frames: [ { name, x, y, w, h, duration }, ... ], names: { name: frameno, ... } }
+         *
+         *  Understands the TexturePacker JSON hash and JSON array formats, and the Aseprite
+         *  export which is either of the two plus frame durations. Frame numbers are the
+         *  indices into the frames array, i.e. the order of appearance in the descriptor.
+         */
+        function parse_atlas(data) {
+            var atlas = { frames: [], names: {} };
+
+            if (!data || !data.frames) $.error("Atlas contains no frames!");
+
+            // $.each() walks arrays by index and hashes by key, which is just what we need
+            $.each(data.frames, function (key, f) {
+                var name = typeof key === "number" ? (f.filename || key.toString()) : key;
+                var rect = f.frame || f;
+
+                atlas.names[name] = atlas.frames.length;
+                atlas.frames.push({
+                    name: name,
+                    x: rect.x * 1,
+                    y: rect.y * 1,
+                    w: rect.w * 1,
+                    h: rect.h * 1,
+                    duration: f.duration * 1 || null
+                });
+            });
+
+            return atlas;
+        }
+
+
+
+
+
+
+
+    /****   Renderers.   ****/
+
+
+        /** Calls step(p) on every tick of the clock with the progress p (above 0, up to 1) of a
+         *  transition taking the given time in ms, until it is complete. Returns the ticker, so the
+         *  transition can be cut short by unschedule()ing it.
+         */
+        function transit(clock, duration, step) {
+            var begin = clock.now();
+            var ticker = {
+                due: begin,
+                tick: function (t) {
+                    var p = Math.min((t - begin) / duration, 1);
+
+                    if (p >= 1) clock.unschedule(ticker);
+                    step(p);
+                }
+            };
+
+            clock.schedule(ticker);
+
+            return ticker;
+        }
+
+
+
+
+        /** Creates the renderer which displays the frames by the background-position
+         *  (and, where needed, the background-size) of the screen element.
+         *
+         *  Crossfades are done with an overlay element on top of the screen element's content,
+         *  which shows the outgoing frame and fades out.
+         */
+        function css_renderer(screen, settings) {
+            var size = "";
+            var position = null;
+            var overlay = null;
+            var fading = null;
+            var static_position = screen.css("position") === "static";
+            var clock = clock_for(settings.clock);
+
+            screen.css("image-rendering", settings.smoothing ? "" : "pixelated");
+
+            return {
+                render: function (frame) {
+                    var img = frame.image;
+                    var bg = "";
+                    var previous = { position: position, size: size };
+
+                    if (frame.resize) {
+                        screen.css({
+                            width: frame.width * frame.scaleX + "px",
+                            height: frame.height * frame.scaleY + "px"
+                        });
+                    }
+
+                    position = (-frame.x * frame.scaleX).toString() + "px " +
+                        (-frame.y * frame.scaleY).toString() + "px";
+                    screen.css("background-position", position);
+
+                    // unless the image is displayed as is; only changes are written
+                    if (img !== null && (frame.ratio !== 1 || frame.scaleX !== 1 || frame.scaleY !== 1))
+                        bg = img.width * frame.scaleX + "px " + img.height * frame.scaleY + "px";
+                    if (bg !== size) {
+                        screen.css("background-size", bg);
+                        size = bg;
+                    }
+
+                    if (fading !== null) clock.unschedule(fading);
+                    fading = null;
+                    if (overlay !== null) overlay.hide();
+                    if (!frame.fade || previous.position === null || previous.position === position) return;
+
+                    if (overlay === null) {
+                        if (static_position) screen.css("position", "relative");
+                        overlay = $("<div></div>").css({
+                            position: "absolute", left: 0, top: 0, width: "100%", height: "100%",
+                            "pointer-events": "none", "background-image": "inherit",
+                            "background-repeat": "inherit", "image-rendering": "inherit"
+                        }).appendTo(screen);
+                    }
+
+                    overlay.css({
+                        "background-position": previous.position,
+                        "background-size": previous.size,
+                        opacity: 1
+                    }).show();
+                    fading = transit(clock, frame.fade, function (p) {
+                        overlay.css("opacity", 1 - p);
+                        if (p < 1) return;
+                        overlay.hide();
+                        fading = null;
+                    });
+                },
+
+                destroy: function () {
+                    if (fading !== null) clock.unschedule(fading);
+                    if (overlay !== null) overlay.remove();
+                    if (overlay !== null && static_position) screen.css("position", "");
+                    screen.css({ "background-size": "", "image-rendering": "" });
+                }
+            };
+        }
+
+
+
+
+        /** Creates the renderer which draws the frames onto a canvas filling the screen element.
+         *  The screen element's background image is hidden while it is in use.
+         *
+         *  Crossfades are done by drawing the incoming frame with increasing opacity over the
+         *  outgoing one.
+         */
+        function canvas_renderer(screen, settings) {
+            var background = screen[0].style.backgroundImage;
+            var canvas = document.createElement("canvas");
+            var context = canvas.getContext && canvas.getContext("2d");
+            var last = null;
+            var fading = null;
+            var clock = clock_for(settings.clock);
+
+
+            /* draws the frame onto the whole canvas with the given opacity */
+            function draw(frame, alpha) {
+                context.globalAlpha = alpha;
+                context.drawImage(frame.image.element, frame.x * frame.ratio, frame.y * frame.ratio,
+                    frame.width * frame.ratio, frame.height * frame.ratio, 0, 0, canvas.width, canvas.height);
+            }
+
+
+            $(canvas).css({ display: "block", width: "100%", height: "100%" })
+                .css("image-rendering", settings.smoothing ? "" : "pixelated")
+                .appendTo(screen);
+            screen.css("background-image", "none");
+
+            return {
+                render: function (frame) {
+                    var dpr = window.devicePixelRatio || 1;
+                    var width = frame.width * frame.scaleX;
+                    var height = frame.height * frame.scaleY;
+                    var previous = last;
+
+                    if (frame.resize) screen.css({ width: width + "px", height: height + "px" });
+                    if (!context || frame.image === null) return;
+
+                    if (fading !== null) clock.unschedule(fading);
+                    fading = null;
+                    last = frame;
+
+                    // resizing the canvas clears it and resets the context
+                    width = Math.round(width * dpr);
+                    height = Math.round(height * dpr);
+                    if (canvas.width !== width || canvas.height !== height) {
+                        canvas.width = width;
+                        canvas.height = height;
+                    }
+                    context.imageSmoothingEnabled = settings.smoothing;
+
+                    if (!frame.fade || previous === null) {
+                        context.clearRect(0, 0, width, height);
+                        draw(frame, 1);
+                        return;
+                    }
+
+                    fading = transit(clock, frame.fade, function (p) {
+                        context.clearRect(0, 0, width, height);
+                        draw(previous, 1);
+                        draw(frame, p);
+                        if (p >= 1) fading = null;
+                    });
+                },
+
+                destroy: function () {
+                    if (fading !== null) clock.unschedule(fading);
+                    $(canvas).remove();
+                    screen.css("background-image", background);
+                }
+            };
+        }
+
+
+        var RENDERERS = { css: css_renderer, canvas: canvas_renderer };
+
+
+
+
+    /** Cartoon setup function which attaches a cartoon object to the screen element,
+     *  given as a jQuery object holding exactly that element.
+     *  Returns the cartoon object, on which methods can then be called.
+     *
+     *  The settings are used to modify the builtin default settings. It's a simple key-value map with
+     *  the keys being the documented options.
+     *
+     *  If there already is a cartoon object initialised for this element, that one is retrieved,
+     *  configure()d with the settings, if supplied, and returned. So this can be used to modify
+     *  settings on an operational cartoon.
+     */
+
+    function setup(screen, settings) {
+
+        var state, s, cartoon;
+
+
+
+
+        /** Modifies the configuration of the cartoon.
+         *  The argument is the same as passed to the cartoon creation function.
+         *
+         *  The options are checked as a whole before any of them is applied, so if one is
+         *  invalid, the configuration stays as it was (see the validation option). A playing
+         *  cartoon carries on with the new options; see reposition() for a changed mode or
+         *  sequence.
+         */
+        function configure(settings) {
+            // merge_settings() adjusts what it's given, and the caller's object is left alone
+            settings = $.extend({}, settings);
+            $.extend(s, revised(settings, reloading(settings)));
+
+            if (settings.width) state.autoWidth = false;
+            if (settings.height) state.autoHeight = false;
+            if (settings.clock !== undefined) use_clock();
+            if (reloading(settings)) load();
+            if (settings.renderer !== undefined || settings.smoothing !== undefined ||
+                settings.clock !== undefined) render_with();
+            if (settings.fit !== undefined || settings.scale !== undefined ||
+                settings.pixelRatio !== undefined) refit();
+            if (settings.driver !== undefined) drive();
+            if (settings.pauseWhenHidden !== undefined) watch();
+            if (settings.reducedMotion !== undefined) motion_changed();
+            if (settings.sequence !== undefined || settings.mode !== undefined) reposition();
+
+            return this;
+        }
+
+
+
+
+        /** Brings the current position in line with a changed mode or sequence: the sequence
+         *  number is clamped to the length of the sequence, and its frame is displayed (blending
+         *  over if there's a transition). A range played by playRange() which no longer fits is
+         *  dropped. If playing, the next step is rescheduled after the delay of the frame now
+         *  displayed, counting from now.
+         */
+        function reposition() {
+            var last = sequence_length() - 1;
+            var range = state.range;
+            var pass;
+
+            if (state.seqno === null || last < 0) return;
+
+            if (range !== null && Math.max(range.from, range.to) > last) state.range = null;
+            state.seqno = Math.min(state.seqno, last);
+            state.eased = null;
+            display_frame(seq2frame(state.seqno), s.transition ? s.transition.duration || s.delay : 0);
+
+            if (state.ticker !== null) {
+                pass = pass_geometry();
+                state.ticker.due = now() + position_delay(position(pass), pass);
+                schedule(state.ticker);
+            }
+        }
+
+
+
+
+        /** Gets or sets options, like jQuery UI widgets do:
+         *
+         *      option()                returns a copy of all settings
+         *      option(name)            returns the value of the named option
+         *      option(name, value)     sets the named option, like configure() does
+         *      option(options)         sets several options, like configure() does
+         *
+         *  The setters return the cartoon object for chaining.
+         */
+        function option(name, value) {
+            var settings = name;
+
+            if (name === undefined) return $.extend({}, s);
+
+            if (typeof name === "string") {
+                if (value === undefined) return s[name];
+                settings = {};
+                settings[name] = value;
+            }
+
+            return this.configure(settings);
+        }
+
+
+
+
+        /** Sets up the source image and the atlas, loading what needs to be loaded.
+         *
+         *  state.ready is replaced by a new deferred which is resolved once everything is
+         *  available, or rejected if something failed to load.
+         */
+        function load() {
+            var ready = state.ready = $.Deferred();
+            var source = s.srcset ?
+                pick_source(parse_srcset(s.srcset), (window.devicePixelRatio || 1) * s.scale) : null;
+            var url = source ? source.url : s.src || background_url(screen);
+            var atlas = null;
+            var image = null;
+
+
+            /* something that completes after we were destroy()ed or load()ed anew is of no interest */
+            function current() {
+                return state !== null && state.ready === ready;
+            }
+
+
+            if (source || s.src) {
+                screen.css("background-image", 'url("' + url + '")');
+
+                // a renderer which hides the background image has to take the new one into account
+                if (state.renderer !== null) render_with();
+            }
+
+            state.density = source ? source.density : null;
+            state.atlas = null;
+            state.image = null;
+            state.element = null;
+            state.url = url;
+
+            if (typeof s.atlas === "string") {
+                atlas = $.ajax({ url: s.atlas, dataType: "json" }).done(function (data) {
+                    if (current()) state.atlas = parse_atlas(data);
+                });
+            } else if (s.atlas) {
+                state.atlas = parse_atlas(s.atlas);
+            }
+
+            if (url) {
+                image = preload(url).done(function (size, img) {
+                    if (!current()) return;
+                    state.image = size;
+                    state.element = img;
+                });
+            }
+
+            $.when(atlas, image).done(function () {
+                var problem;
+
+                if (!current()) return;
+                problem = settle();
+                if (problem === null) {
+                    ready.resolve(cartoon, state.image);
+                } else {
+                    ready.reject(cartoon, problem);
+                }
+            }).fail(function () {
+                if (current()) ready.reject(cartoon);
+            });
+        }
+
+
+
+
+        /** Finishes the setup once the source image and the atlas are available.
+         *
+         *  Frame sizes not configured explicitly are taken from the screen element once more,
+         *  as its layout may not have been settled at setup time.
+         *
+         *  Returns the first problem with the sequence, or null. As this is called back once
+         *  loading is complete, an error thrown for strict validation would go unnoticed, so
+         *  the problem is left to the caller to reject ready() with.
+         */
+        function settle() {
+            var problems;
+
+            if (state.autoWidth) s.width = screen.width() / s.scale || s.width;
+            if (state.autoHeight) s.height = screen.height() / s.scale || s.height;
+
+            // now that the frame count and the atlas frame names are known, unless they were before
+            problems = s.mode !== "movie" && !state.checked ? sequence_problems(s) : [];
+            state.checked = false;
+            if (problems.length && s.validation !== "warn") return problems[0];
+            $.each(problems, function (i, problem) { report(s.validation, problem); });
+
+            // renderers which draw the image themselves couldn't do so before
+            redisplay();
+
+            return null;
+        }
+
+
+
+
+        /** Returns a promise which is resolved once the source image (given by the src option or
+         *  the screen element's CSS) is decoded and the atlas, if any, is loaded. It is rejected
+         *  if either fails to load, or (with strict validation) if the sequence then turns out to
+         *  refer to frames which don't exist; fail callbacks get the message after the cartoon.
+         *
+         *  Done callbacks get the cartoon object and the natural size of the source image as an
+         *  object { width, height } (or null if there's no source image).
+         */
+        function ready() {
+            return state.ready.promise();
+        }
+
+
+
+
+        /** Returns the natural size of the source image as an object { width, height },
+         *  or null if it is not loaded (yet).
+         */
+        function getImageSize() {
+            return state.image;
+        }
+
+
+
+
+        /** Returns the number of columns and rows in grid orientation as an array.
+         *  Those not configured are figured out from the size of the source image.
+         *
+         *  Like the other helpers taking an optional settings object, this works on the
+         *  current settings unless passed ones which are yet to be applied.
+         */
+        function grid_size(settings) {
+            var img = image_size(settings);
+            var columns, rows;
+
+            settings = settings || s;
+            columns = settings.columns;
+            rows = settings.rows;
+
+            if (img !== null) {
+                columns = columns || Math.floor((img.width - settings.offsetX) / settings.width);
+                rows = rows || Math.floor((img.height - settings.offsetY) / settings.height);
+            }
+
+            return [columns, rows];
+        }
+
+
+
+
+        /** Returns the size of the source image in CSS pixels (at a scale of 1) as an object
+         *  { width, height }, or null if it is not known.
+         */
+        function image_size(settings) {
+            var ratio = pixel_ratio(settings);
+
+            if (state.image === null) return null;
+            return { width: state.image.width / ratio, height: state.image.height / ratio };
+        }
+
+
+
+
+        /** Returns the number of image pixels per CSS pixel in the source image.
+         */
+        function pixel_ratio(settings) {
+            return state.density || (settings || s).pixelRatio;
+        }
+
+
+
+
+        /** Returns the horizontal and vertical scale factors for a frame of the given size.
+         */
+        function scale_factors(width, height) {
+            if (s.fit && state.box !== null)
+                return [state.box.width / width || s.scale, state.box.height / height || s.scale];
+            return [s.scale, s.scale];
+        }
+
+
+
+
+        /** Returns the number of frames in the source image, as far as this can be figured out
+         *  from the orientation, the frame size and the size of the source image. Returns 0 if
+         *  it can't.
+         */
+        function image_frame_count(settings) {
+            var img = image_size(settings);
+            var grid;
+
+            settings = settings || s;
+
+            switch (settings.orientation.charAt(0)) {
+                case "h":
+                    return img !== null ? Math.floor((img.width - settings.offsetX) / settings.width) : 0;
+                case "v":
+                    return img !== null ? Math.floor((img.height - settings.offsetY) / settings.height) : 0;
+                case "g":
+                    grid = grid_size(settings);
+                    return grid[0] * grid[1];
+            }
+
+            return 0;
+        }
+
+
+
+
+        /** Invokes the callback for the given event type, if configured, then triggers the
+         *  event on the screen element. Both get the cartoon object, followed by args.
+         */
+        function fire(type, args) {
+            var callback = s[CALLBACKS[type]];
+
+            args = [cartoon].concat(args || []);
+
+            if (callback) callback.apply(cartoon, args);
+            if (screen !== null) screen.trigger(type + ".cartoon", args);
+        }
+
+
+
+
+        /** Resolves an atlas frame name to its frame number.
+         *
+         *  Frame numbers are passed through. Returns null if there is no such name
+         *  (or no atlas yet).
+         */
+        function frame_index(frameno) {
+            if (typeof frameno !== "string") return frameno;
+            if (state.atlas === null || !state.atlas.names.hasOwnProperty(frameno)) return null;
+            return state.atlas.names[frameno];
+        }
+
+
+
+
+        /** Has the renderer display the frame with the given number, crossfading from the
+         *  previous one for the given time in ms, if any.
+         *
+         *  Does nothing if the frame number is null (a convenience especially for you).
+         *  Does not check if there actually is a frame with that number.
+         *  Does not interfere with the sequence status in any way.
+         */
+        function display_frame(frameno, fade) {
+            var ratio = pixel_ratio();
+            var img = image_size();
+            var frame = { ratio: ratio, resize: false, image: null, fade: fade || 0 };
+            var f, k, columns;
+
+            frameno = frame_index(frameno);
+            if (frameno === null) return;
+
+            if (state.atlas !== null) {
+                f = state.atlas.frames[frameno];
+                if (!f) return;
+                frame.x = f.x / ratio + s.offsetX;
+                frame.y = f.y / ratio + s.offsetY;
+                frame.width = f.w / ratio;
+                frame.height = f.h / ratio;
+                frame.resize = !s.fit;
+            } else {
+                frame.width = s.width;
+                frame.height = s.height;
+
+                if (s.orientation.charAt(0) === "h") {
+                    frame.x = frameno * s.width + s.offsetX;
+                    frame.y = s.offsetY;
+                } else if (s.orientation.charAt(0) === "g") {
+                    columns = grid_size()[0];
+                    frame.x = (frameno % columns) * s.width + s.offsetX;
+                    frame.y = Math.floor(frameno / columns) * s.height + s.offsetY;
+                } else {
+                    frame.x = s.offsetX;
+                    frame.y = frameno * s.height + s.offsetY;
+                }
+            }
+
+            k = scale_factors(frame.width, frame.height);
+            frame.scaleX = k[0];
+            frame.scaleY = k[1];
+
+            if (img !== null) {
+                frame.image = {
+                    element: state.element, url: state.url, width: img.width, height: img.height
+                };
+            }
+
+            if (s.onRender && s.onRender.call(cartoon, cartoon, frame, frameno) === false) return;
+            state.renderer.render(frame);
+        }
+
+
+
+
+        /** Sets up the renderer configured by the renderer option, after destroying the
+         *  previous one, and displays the current frame with it.
+         */
+        function render_with() {
+            var make;
+
+            if (state.renderer !== null) state.renderer.destroy();
+
+            make = typeof s.renderer === "function" ? s.renderer : RENDERERS[s.renderer];
+            state.renderer = make(screen, s);
+            redisplay();
+        }
+
+
+
+
+        /** Displays the current frame anew, e.g. after the scale has changed.
+         */
+        function redisplay() {
+            if (state.seqno !== null) display_frame(seq2frame(state.seqno));
+        }
+
+
+
+
+        /** Returns the number of frames in the source image: the configured frame count,
+         *  or else the number of atlas frames, or else what image_frame_count() figures out.
+         *  Returns 0 if it is not known.
+         */
+        function frame_count(settings) {
+            if ((settings || s).frameCount) return (settings || s).frameCount;
+            if (state.atlas !== null) return state.atlas.frames.length;
+            return image_frame_count(settings);
+        }
+
+
+
+
+        /** Checks the sequence in sequence and varsequence mode, see sequence_problems().
+         *  Problems are reported like invalid settings, see report(). Without a sequence,
+         *  the mode falls back to movie mode, unless that throws an error.
+         *
+         *  While loading is set, the source image and the atlas are taken to be unknown yet.
+         */
+        function check_sequence(settings, loading) {
+            settings = settings || s;
+
+            if (settings.mode === "movie") return;
+
+            if (!settings.sequence || !settings.sequence.length) {
+                report(settings.validation, "No playback sequence given!");
+                settings.mode = "movie";
+                return;
+            }
+
+            $.each(sequence_problems(settings, loading), function (i, problem) {
+                report(settings.validation, problem);
+            });
+        }
+
+
+
+
+        /** Returns the problems with the entries of the sequence as an array of messages. Frame
+         *  numbers (or atlas frame names) must refer to existing frames, as far as the frame count
+         *  (or the atlas) is known, and varsequence delays must be positive numbers.
+         *
+         *  While loading is set, the source image and the atlas are taken to be unknown yet.
+         */
+        function sequence_problems(settings, loading) {
+            var count = loading ? settings.frameCount : frame_count(settings);
+            var problems = [];
+
+            $.each(settings.sequence || [], function (i, entry) {
+                var problem = null;
+
+                if (settings.mode === "varsequence" && i % 2) {
+                    if (typeof entry !== "number" || !(entry > 0)) problem = "expected a delay above 0";
+                } else if (typeof entry === "string") {
+                    if (!settings.atlas) {
+                        problem = "frame names require an atlas";
+                    } else if (!loading && state.atlas !== null && !state.atlas.names.hasOwnProperty(entry)) {
+                        problem = "no such atlas frame";
+                    }
+                } else if (typeof entry !== "number" || entry % 1 || entry < 0) {
+                    problem = "expected a frame number";
+                } else if (count && entry >= count) {
+                    problem = "frame number out of range (frame count is " + count + ")";
+                }
+
+                if (problem) {
+                    problems.push("Invalid entry in option 'sequence' at index " + i +
+                        ": " + problem + ", got " + show(entry));
+                }
+            });
+
+            return problems;
+        }
+
+
+
+
+        /** Checks the settings as a whole: the playback mode, and what it requires. What's
+         *  missing might still be figured out once loading is complete, so while loading is
+         *  set, only what doesn't depend on the source image or the atlas is checked.
+         */
+        function check_settings(settings, loading) {
+            if (settings.orientation.charAt(0) === "g" && !loading && !grid_size(settings)[0])
+                $.error("Column count not set in grid orientation!");
+
+            switch (settings.mode) {
+                case "movie":
+                    if (!loading && !frame_count(settings))
+                        $.error("Frame count not set in movie mode!");
+                    break;
+                case "sequence":
+                case "varsequence":
+                    check_sequence(settings, loading);
+                    break;
+                default:
+                    $.error('Unkown playback mode: ' + settings.mode);
+            }
+        }
+
+
+
+
+        /** Merges the settings into a copy of the current ones and checks the result as a whole,
+         *  so nothing needs to be undone if there's a problem. Returns the copy, to be applied
+         *  by extending the current settings with it. Set reload if the source image or the
+         *  atlas is about to be loaded anew.
+         */
+        function revised(settings, reload) {
+            var next = $.extend({}, s);
+
+            merge_settings(next, settings);
+            check_settings(next, reload || state.ready.state() === "pending");
+
+            return next;
+        }
+
+
+
+
+        /** Returns whether the settings call for loading the source image or the atlas anew.
+         */
+        function reloading(settings) {
+            return settings.atlas !== undefined || settings.src !== undefined ||
+                settings.srcset !== undefined;
+        }
+
+
+
+
+        /** Returns the length of the sequence according to the configured playback mode.
+         */
+        function sequence_length() {
+            switch (s.mode) {
+                case "movie":
+                    return frame_count();
+                case "sequence":
+                    return s.sequence.length;
+                case "varsequence":
+                    return Math.floor((s.sequence.length + 1) / 2);
+            }
+        }
+
+
+
+
+        /** Maps sequence numbers to frame numbers according to the configured playback mode.
+         *
+         *  Performs sanity checks on the sequence number and returns null, if it's not in
+         *  range of the sequence. Note that 0 is a valid frame number, so you have to use
+         *  === null when checking the return value.
+         */
+        function seq2frame(seqno) {
+            var frameno;
+
+            /* sanitize for lower bound */
+            if (seqno < 0) seqno = 0;
+
+            /* lookup the frame number assigned to the sequence number, thereby sanitizing for the
+             *  upper sequence number bound */
+            switch (s.mode) {
+                case "movie":
+                    // in movie mode, the frameno equals the seqno
+                    if (seqno >= sequence_length()) return null;
+                    frameno = seqno;
+                    break;
+                case "sequence":
+                    if (seqno >= s.sequence.length) return null;
+                    frameno = s.sequence[seqno];
+                    break;
+                case "varsequence":
+                    if (seqno >= Math.floor((s.sequence.length + 1) / 2)) return null;
+                    frameno = s.sequence[2 * seqno];
+                    break;
+                //default: return null;
+            }
+
+            return frame_index(frameno);
+        }
+
+
+
+
+        /** Returns the delay in ms to wait after the frame assigned to the given sequence number.
+         *
+         *  This is the delay from the varsequence, the eased delay, the atlas frame's duration
+         *  or the standard delay, in this order. Looping is not taken into account. The eased
+         *  delay depends on the position in the pass, which is that of the current sequence
+         *  number unless given.
+         */
+        function frame_delay(seqno, pos) {
+            var f, pass;
+
+            if (s.mode === "varsequence") return s.sequence[2 * seqno + 1];
+
+            if (s.easing || s.duration) {
+                pass = pass_geometry();
+                return eased_delay(pos === undefined ? position(pass) : pos, pass);
+            }
+
+            f = state.atlas !== null ? state.atlas.frames[seq2frame(seqno)] : null;
+            return (f && f.duration) || s.delay;
+        }
+
+
+
+
+        /** Returns the delay in ms after the given position of the pass when the timing is
+         *  spread over the duration by the easing.
+         */
+        function eased_delay(pos, pass) {
+            var times = eased_times(pass);
+
+            return pos >= 0 && pos < times.length - 1 ? times[pos + 1] - times[pos] : 0;
+        }
+
+
+
+
+        /** Returns the times in ms into the pass at which its positions are due with easing,
+         *  followed by the duration. The last position gets its share of the duration as well,
+         *  so the next pass starts after that. The times are cached in state.eased.
+         */
+        function eased_times(pass) {
+            var steps = pass.length + 1;
+            var duration = s.duration || steps * s.delay;
+            var ease = typeof s.easing === "function" ? s.easing : $.easing[s.easing || "linear"];
+            var cache = state.eased;
+            var times = [];
+            var k;
+
+            if (cache !== null && cache.easing === s.easing && cache.duration === duration &&
+                cache.steps === steps)
+                return cache.times;
+
+            for (k = 0; k <= steps; k++) {
+                // an overshooting easing mustn't take us back in time
+                times.push(Math.max(duration * ease_inverse(ease, k / steps, duration), times[k - 1] || 0));
+            }
+
+            state.eased = { easing: s.easing, duration: duration, steps: steps, times: times };
+
+            return times;
+        }
+
+
+
+
+        /** Displays the frame with the given frame number.
+         *
+         *  Does not check if there actually is a frame with that number. If there's not,
+         *  you'll probably won't see anything.
+         *
+         *  Does not change the status of the cartoon, in particular doesn't stop the
+         *  cartoon if it's currently playing or modify its sequence number.
+         */
+        function displayFrame(frameno) {
+            display_frame(frameno);
+            return this;
+        }
+
+
+
+
+        /** Displays the frame assigned to the given sequence number.
+         *
+         *  Performs sanity checks on the sequence number and adjusts it, if it's not in
+         *  range of the configured sequence. (details remain unspecified and are subject to change)
+         *
+         *  Does not stop the cartoon if it's currently playing.
+         */
+        function skipTo(seqno) {
+            var pass = pass_geometry();
+            var pos;
+
+            seqno = Math.max(Math.floor(seqno) || 0, 0);
+            if (seq2frame(seqno) === null) return this;   // else?
+
+            // a range played by playRange() is left behind when skipping outside of it
+            pos = (seqno - pass.origin) * pass.sign;
+            if (state.range !== null && (pos < 0 || pos > pass.length)) {
+                state.range = null;
+                pass = pass_geometry();
+            }
+
+            arrive(Math.abs(seqno - pass.origin), pass);
+
+            return this;
+        }
+
+
+
+
+        /** Displays the frame at the given position of the pass and makes it the current one,
+         *  outside of the regular stepping, i.e. for skipTo() and seeking.
+         */
+        function arrive(pos, pass) {
+            var seqno = seqno_at(pos, pass);
+            var frameno = seq2frame(seqno);
+
+            display_frame(frameno);
+            state.seqno = seqno;
+            state.returning = pass.alternate && pos > pass.last;
+            state.remaining = null;
+
+            notify(now());
+            if (state === null) return;
+            fire("frame", [seqno, frameno]);
+
+            if (pos === pass.length && state !== null) fire("end");
+        }
+
+
+
+
+        /** Rewinds the cartoon to the beginning, i.e. sequence number 0, or the last
+         *  sequence number if the sequence is traveled in descending order.
+         *  Does not stop the cartoon if it's currently playing.
+         *
+         *  With the option { promise: true }, returns a promise which is already resolved.
+         */
+        function rewind(options) {
+            this.skipTo(pass_geometry().origin);
+            return options && options.promise ? $.Deferred().resolveWith(this, [this]).promise() : this;
+        }
+
+
+
+
+        /** Returns 1 if the sequence is traveled in ascending order, -1 if in descending order.
+         *  For the "alternate" direction, this is the direction of the outward pass.
+         */
+        function travel_sign() {
+            return (s.direction === "reverse" ? -1 : 1) * (s.playbackRate < 0 ? -1 : 1);
+        }
+
+
+
+
+        /** Returns the geometry of a pass through the sequence as an object with
+         *
+         *      last        the number of steps to the far end, i.e. the last sequence number,
+         *                  unless a range is being played
+         *      alternate   whether the pass leads to the far end and back
+         *      sign        see travel_sign()
+         *      origin      the sequence number where the pass starts
+         *      length      the number of steps in the pass, i.e. the last position
+         *
+         *  Positions are the number of steps from the origin. In the "alternate" direction,
+         *  the positions beyond the far end map back onto the sequence.
+         *
+         *  While playRange() is in effect, the pass is the range, from its first sequence number
+         *  to its last one, whatever the direction option says.
+         */
+        function pass_geometry() {
+            var last = sequence_length() - 1;
+            var alternate = s.direction === "alternate" && last > 0;
+            var sign = travel_sign();
+            var range = state.range;
+
+            if (range !== null && last >= 0) {
+                return {
+                    last: Math.abs(range.to - range.from),
+                    alternate: false,
+                    sign: range.to < range.from ? -1 : 1,
+                    origin: range.from,
+                    length: Math.abs(range.to - range.from)
+                };
+            }
+
+            return {
+                last: last,
+                alternate: alternate,
+                sign: sign,
+                origin: sign > 0 ? 0 : last,
+                length: alternate ? 2 * last : last
+            };
+        }
+
+
+
+
+        /** Returns whether the pass starts over at its end, i.e. the loop option,
+         *  or the loop option of playRange() while that is in effect.
+         */
+        function looping() {
+            return state.range !== null ? state.range.loop : s.loop;
+        }
+
+
+
+
+        /** Returns the sequence number at the given position of the pass.
+         */
+        function seqno_at(pos, pass) {
+            return pass.origin + pass.sign * (pos <= pass.last ? pos : pass.length - pos);
+        }
+
+
+
+
+        /** Returns the position of the current sequence number within the pass, or null
+         *  if the cartoon has not yet started.
+         */
+        function position(pass) {
+            var dist;
+
+            if (state.seqno === null) return null;
+
+            dist = Math.abs(state.seqno - pass.origin);
+            return pass.alternate && state.returning ? pass.length - dist : dist;
+        }
+
+
+
+
+        /** Moves the sequence number on by one step (or back by one step, if back is set)
+         *  in the direction of travel, without displaying anything.
+         *
+         *  Returns the animation progress as documented for step(), taking a step back as
+         *  a step in the opposite direction of travel.
+         */
+        function advance(back) {
+            var pass, pos, progress;
+
+            state.remaining = null;
+
+            /* the pass has ended before, and another animation is to follow */
+            if (state.switching !== null && !back) apply_animation(state.switching);
+
+            pass = pass_geometry();
+            if (pass.last < 0) return 0;
+
+
+            /* make up the next position within the pass, not yet taking the pass length into
+             *  account */
+            pos = position(pass);
+            if (pos === null) {
+                pos = back ? -1 : (s.skipFirst ? 1 : 0);
+            } else {
+                pos += back ? -1 : 1;
+            }
+
+
+            /* adjust the position for the pass range and set status accordingly */
+            if (pos < 0 || pos > pass.length) {
+                // the new position is beyond the pass
+                //  wrap around if looping is enabled
+                if (!looping()) return 0;
+
+                // in the "alternate" direction, both ends of the pass are the same sequence number
+                if (pos > pass.length) {
+                    pos = pass.alternate ? 1 : 0;
+                } else {
+                    pos = pass.alternate ? pass.length - 1 : pass.length;
+                }
+                progress = 3;
+            } else if (pos === (back ? 0 : pass.length)) {
+                // the new position is the last one in the pass
+                progress = 2;
+            } else {
+                // just any position
+                progress = 1;
+            }
+
+
+            state.seqno = seqno_at(pos, pass);
+            state.returning = pass.alternate && pos > pass.last;
+
+            if (progress === 2 && !back) state.switching = follow_up();
+
+            return progress;
+        }
+
+
+
+
+        /** Calls the hooks registered by _hook() with the current sequence number and the
+         *  time at which it was due.
+         */
+        function notify(time) {
+            var seqno = state.seqno;
+
+            // work on a copy, as hooks may unhook themselves
+            $.each(state.hooks.slice(), function (i, hook) {
+                if (state !== null) hook(seqno, time);
+            });
+        }
+
+
+
+
+        /** Returns the duration of the crossfade to the current frame when stepping onto it:
+         *  0 without a transition, else its duration, but no longer than the time up to the
+         *  next step.
+         */
+        function fade_time() {
+            var delay;
+
+            if (!s.transition) return 0;
+
+            if (state.ticker !== null) {
+                delay = state.ticker.due - now();
+            } else {
+                delay = frame_delay(state.seqno) / Math.abs(s.playbackRate);
+            }
+
+            return Math.max(Math.min(s.transition.duration || Infinity, delay), 0);
+        }
+
+
+
+
+        /** Takes the actions due after advance()ing to the current sequence number at the
+         *  given time, i.e. displays its frame (if render is set) and invokes the callbacks.
+         */
+        function land(progress, render, time) {
+            var frameno = seq2frame(state.seqno);
+
+            notify(time);
+            if (state === null) return;
+
+            if (progress === 3) fire("loop");
+
+            /* display the thing */
+            if (render) {
+                display_frame(frameno, fade_time());
+                fire("frame", [state.seqno, frameno]);
+            }
+
+            /* invoke last frame callback */
+            if (progress === 2 && state !== null) fire("end");
+        }
+
+
+
+
+        /** Advances the animation by one step.
+         *
+         *  Adjusts status accordingly (updates seqno).
+         *
+         *  Returns a number indicating the animation progress:
+         *      0   - no more frames to play (nothing changed)
+         *      1   - ok, next frame in sequence displayed
+         *      2   - like 1, and this is the last frame in the sequence (callback triggered)
+         *      3   - like 1, and we just wrapped around
+         *
+         */
+        function step() {
+            var progress = advance();
+
+            if (progress !== 0) land(progress, true, now());
+
+            return progress;
+        }
+
+
+
+
+        /** Moves the animation back by one step, i.e. one step in the opposite direction of travel.
+         *
+         *  Returns the animation progress like step() does.
+         */
+        function stepBack() {
+            var progress = advance(true);
+
+            if (progress !== 0) land(progress, true, now());
+
+            return progress;
+        }
+
+
+
+
+        /** Returns the delay in ms until the step following the given progress,
+         *  or null if playback ends here. The delay is adjusted for the playback rate.
+         */
+        function next_delay(progress) {
+            var seqno = state.seqno;
+            var delay = null;
+
+            switch (progress) {
+                case 1:
+                case 3:
+                    // regular delay
+                    delay = frame_delay(seqno) || 0;
+                    break;
+
+                case 2:
+                    // last seqno: regular delay if another animation follows,
+                    //  loop delay if loop enabled, otherwise stop
+                    if (state.switching !== null) {
+                        delay = frame_delay(seqno) || 0;
+                        break;
+                    }
+                    if (!looping()) return null;
+                    delay = loop_delay(seqno);
+                    break;
+            }
+
+            return delay === null ? null : delay / Math.abs(s.playbackRate);
+        }
+
+
+
+
+        /** Returns the delay in ms between the last frame (with the given sequence number,
+         *  at the given position, if not the current one) and the first when looping, not
+         *  adjusted for the playback rate.
+         */
+        function loop_delay(seqno, pos) {
+            if (s.mode === "varsequence") return frame_delay(seqno) || s.loopDelay || s.delay || 1000;
+            return s.loopDelay || frame_delay(seqno, pos) || 1000;
+        }
+
+
+
+
+        /** Returns the time in ms the given position of the pass is displayed for, adjusted for
+         *  the playback rate. For the last position, this is the loop delay if looping.
+         */
+        function position_delay(pos, pass) {
+            var seqno = seqno_at(pos, pass);
+            var delay = pos === pass.length && looping() ?
+                loop_delay(seqno, pos) : frame_delay(seqno, pos) || 0;
+
+            return delay / Math.abs(s.playbackRate);
+        }
+
+
+
+
+        /** Returns the time in ms into the pass at which the given position is displayed.
+         */
+        function position_time(pos, pass) {
+            var time = 0;
+            var i;
+
+            for (i = 0; i < pos; i++) time += position_delay(i, pass);
+
+            return time;
+        }
+
+
+
+
+        /** Returns the duration of one pass through the sequence in ms, i.e. the sum of the delays
+         *  after each frame, including the loop delay if looping. This takes the playback mode,
+         *  direction and playback rate into account.
+         */
+        function getDuration() {
+            var pass = pass_geometry();
+
+            return pass.last < 0 ? 0 : position_time(pass.length + 1, pass);
+        }
+
+
+
+
+        /** Returns the current time in ms into the pass through the sequence, including the time
+         *  the current frame has been displayed for if playing.
+         */
+        function getCurrentTime() {
+            var pass = pass_geometry();
+            var pos = position(pass);
+            var time, delay;
+
+            if (pos === null || pos > pass.length) return 0;
+
+            time = position_time(pos, pass);
+
+            if (state.ticker !== null) {
+                delay = position_delay(pos, pass);
+                time += Math.min(Math.max(delay - (state.ticker.due - now()), 0), delay);
+            }
+
+            return time;
+        }
+
+
+
+
+        /** Returns the current time into the pass as a fraction of its duration, from 0 to 1.
+         */
+        function getProgress() {
+            var duration = getDuration();
+
+            return duration ? getCurrentTime() / duration : 0;
+        }
+
+
+
+
+        /** Displays the frame due at the given time in ms into the pass through the sequence.
+         *  When looping, times beyond the duration wrap around, otherwise they are clamped.
+         *
+         *  If playing, the cartoon keeps playing from that very time on, i.e. the next step
+         *  is taken once the rest of the frame's delay has passed.
+         */
+        function seekTime(ms) {
+            var pass = pass_geometry();
+            var duration = getDuration();
+            var pos = 0;
+            var time = 0;
+            var delay;
+
+            if (pass.last < 0) return this;
+
+            ms = ms * 1 || 0;
+            if (looping() && duration) ms = ((ms % duration) + duration) % duration;
+            ms = Math.min(Math.max(ms, 0), duration);
+
+            /* find the position which is displayed at that time */
+            for (;;) {
+                delay = position_delay(pos, pass);
+                if (pos === pass.length || time + delay > ms) break;
+                time += delay;
+                pos++;
+            }
+
+            arrive(pos, pass);
+
+            // the clock's pending timeout may be set for the old due time
+            if (state !== null && state.ticker !== null) {
+                state.ticker.due = now() + time + delay - ms;
+                schedule(state.ticker);
+            }
+
+            return this;
+        }
+
+
+
+
+        /** Displays the frame due at the given fraction (from 0 to 1) of the pass through the
+         *  sequence, like seekTime() does.
+         */
+        function seekProgress(fraction) {
+            return this.seekTime(fraction * getDuration());
+        }
+
+
+
+
+        /** Returns a snapshot of the cartoon's state as a plain JSON object, which setState()
+         *  (or the state option) brings a cartoon back to. It holds
+         *
+         *      mode        the playback mode
+         *      settings    the settings, except for callbacks and other functions
+         *      seqno       the current sequence number (null if the cartoon has not yet started)
+         *      playing     whether the cartoon is playing (or about to, or paused while hidden)
+         *      elapsed     the time in ms the current frame has been displayed for, if playing
+         *      returning   whether the "alternate" direction is on the way back
+         *      animation   the name of the active animation
+         */
+        function getState() {
+            var settings = {};
+            var remaining = state.ticker !== null ? state.ticker.due - now() : state.paused;
+            var elapsed = 0;
+            var pass, delay;
+
+            $.each(s, function (key, value) {
+                if (typeof value !== "function" && $.inArray(key, UNSTORED) === -1) settings[key] = value;
+            });
+
+            if (remaining !== null && state.seqno !== null) {
+                pass = pass_geometry();
+                delay = position_delay(position(pass), pass);
+                elapsed = Math.min(Math.max(delay - remaining, 0), delay);
+            }
+
+            return JSON.parse(JSON.stringify({
+                mode: s.mode,
+                settings: settings,
+                seqno: state.seqno,
+                playing: playing(),
+                elapsed: elapsed,
+                returning: state.returning,
+                animation: state.animation
+            }));
+        }
+
+
+
+
+        /** Brings the cartoon back to the state in a snapshot returned by getState(): applies
+         *  the settings which differ from the current ones, like configure() does, displays the
+         *  frame and, if the cartoon was playing, plays on from exactly that point, i.e. the
+         *  frame is displayed for the rest of its delay first. No events are triggered, except
+         *  for stop and play.
+         */
+        function setState(snapshot) {
+            var settings = $.extend({}, snapshot.settings, snapshot.mode ? { mode: snapshot.mode } : {});
+            var changes = {};
+            var pass, delay;
+
+            stop();
+
+            // callbacks are left to those given with the options, older snapshots might hold them still
+            $.each(settings, function (key, value) {
+                if ($.inArray(key, UNSTORED) !== -1) return;
+                if (JSON.stringify(value) !== JSON.stringify(s[key])) changes[key] = value;
+            });
+            configure(changes);
+
+            state.seqno = snapshot.seqno === undefined ? null : snapshot.seqno;
+            state.returning = !!snapshot.returning;
+            state.animation = snapshot.animation || null;
+            state.queued = state.switching = null;
+
+            if (state.seqno !== null) {
+                display_frame(seq2frame(state.seqno));
+
+                // even with nothing elapsed, the frame is still shown for its whole delay
+                if (snapshot.elapsed !== undefined) {
+                    pass = pass_geometry();
+                    delay = position_delay(position(pass), pass);
+                    state.remaining = Math.max(delay - (snapshot.elapsed || 0), 0);
+                }
+            }
+
+            if (snapshot.playing) play.call(this);
+
+            return this;
+        }
+
+
+
+
+        /** Adds a cue point: the callback is invoked whenever the cartoon arrives at the given
+         *  sequence number or, if at is a string which is not a number, at a frame with that
+         *  atlas frame name. This happens for each step(), also those skipped because playback
+         *  has fallen behind, and for skipTo() and seeking. The callback gets the cartoon object,
+         *  the sequence number and the frame number.
+         */
+        function addCue(at, callback) {
+            state.cues.push({ at: at, callback: callback });
+            return this;
+        }
+
+
+
+
+        /** Removes the cue points added by addCue() at the given sequence number or atlas frame
+         *  name, only those with the given callback if one is given.
+         */
+        function removeCue(at, callback) {
+            state.cues = $.grep(state.cues, function (cue) {
+                return String(cue.at) !== String(at) || (callback !== undefined && cue.callback !== callback);
+            });
+            return this;
+        }
+
+
+
+
+        /** Invokes the callbacks of the cue points (added by addCue() or given by the cues
+         *  option) for arriving at the given sequence number. Registered as a hook.
+         */
+        function run_cues(seqno) {
+            var frameno = seq2frame(seqno);
+            var f = state.atlas !== null && frameno !== null ? state.atlas.frames[frameno] : null;
+            var cues = state.cues.slice();
+
+
+            /* whether the cue point applies to the sequence number */
+            function hits(at) {
+                if (typeof at === "number" || (typeof at === "string" && at !== "" && !isNaN(at)))
+                    return at * 1 === seqno;
+                return !!f && f.name === at;
+            }
+
+
+            $.each(s.cues || {}, function (at, callback) {
+                cues.push({ at: at, callback: callback });
+            });
+
+            $.each(cues, function (i, cue) {
+                if (state !== null && hits(cue.at)) cue.callback.call(cartoon, cartoon, seqno, frameno);
+            });
+        }
+
+
+
+
+        /** Returns the name of the animation to switch over to at the end of the current pass,
+         *  or null if there is none.
+         */
+        function follow_up() {
+            var clip;
+
+            if (state.queued !== null) return state.queued;
+            if (state.animation === null || s.loop) return null;
+
+            clip = s.animations && s.animations[state.animation];
+            return (clip && clip.next) || null;
+        }
+
+
+
+
+        /** Makes the named animation the active one, i.e. configures the cartoon for it
+         *  and prepares for starting it from the beginning. If loop is given, it overrides
+         *  the clip's loop property.
+         */
+        function apply_animation(name, loop) {
+            var clip = s.animations && s.animations[name];
+            var settings = {};
+            var first, last;
+
+            if (!clip) $.error("Unknown animation: " + name);
+
+            /* remember the configuration to fall back to for what the clips don't specify */
+            if (state.base === null) {
+                state.base = {};
+                $.each(CLIP_KEYS, function (i, key) { state.base[key] = s[key]; });
+            }
+
+            $.each(CLIP_KEYS, function (i, key) {
+                settings[key] = clip.hasOwnProperty(key) ? clip[key] : state.base[key];
+            });
+            if (clip.fps) settings.fps = clip.fps;
+            settings.loop = loop !== undefined ? !!loop : !!clip.loop;
+
+            if (clip.sequence) {
+                settings.mode = clip.mode || "sequence";
+            } else if (clip.from !== undefined || clip.to !== undefined) {
+                first = frame_index(clip.from || 0);
+                last = clip.to !== undefined ? frame_index(clip.to) : frame_count() - 1;
+                if (typeof first !== "number" || typeof last !== "number" || last < 0)
+                    $.error("Invalid frame range in animation: " + name +
+                        " (no such frame, or the frame count is not known for the default of to)");
+
+                settings.mode = "sequence";
+                settings.sequence = range(first, last);
+            }
+
+            $.extend(s, revised(settings));
+
+            // a clip always starts with its first frame
+            s.skipFirst = false;
+
+            state.animation = name;
+            state.queued = state.switching = null;
+            state.seqno = null;
+            state.returning = false;
+        }
+
+
+
+
+        /** Switches over to the named animation and plays it from the beginning.
+         *
+         *  The options object may contain
+         *      immediate: true         switch over right away (this is the default)
+         *      afterCurrent: true      switch over once the active animation has finished its
+         *                              current pass, i.e. arrived at its last frame and waited
+         *                              for that frame's delay
+         *      loop: true | false      overrides the clip's loop property (ignored with
+         *                              afterCurrent)
+         *      promise: true           return a promise for the end of playback, see above
+         */
+        function playAnimation(name, options) {
+            var ticker = state.ticker;
+            var promise = playback().promise();
+
+            if (options && options.afterCurrent && !options.immediate &&
+                    state.animation !== null && ticker !== null) {
+                state.queued = name;
+                return options.promise ? promise : this;
+            }
+
+            apply_animation(name, options && options.loop);
+
+            // already playing? then just carry on with the new animation
+            if (ticker !== null) {
+                ticker.due = now();
+                ticker.tick(ticker.due);
+                if (state !== null && state.ticker === ticker) schedule(ticker);
+            } else {
+                this.play();
+            }
+
+            return options && options.promise ? promise : this;
+        }
+
+
+
+
+        /** Queues the named animation on the screen element's fx queue, see above.
+         *
+         *  Throws an error for an unknown animation name. Should the animation be gone by the
+         *  time the entry comes up (as the animations were configure()d anew), a warning is
+         *  logged to the console instead, and the queue goes on.
+         */
+        function queue(name, options) {
+            var elem = screen;
+            var that = this;
+
+            if (!(s.animations && s.animations[name])) $.error("Unknown animation: " + name);
+
+            elem.queue("fx", function (next) {
+                var done = false;
+
+
+                function proceed() {
+                    if (done) return;
+                    done = true;
+                    elem.off("loop.cartoon", check);
+                    next();
+                }
+
+
+                // there's more in the queue than this very entry, marked "inprogress"
+                function check() {
+                    if (elem.queue("fx").length > 1) proceed();
+                }
+
+
+                // destroy()ed meanwhile, or even on the way there
+                if (instance_of(elem) !== that) return next();
+
+                // there's nobody to throw to in a queue entry
+                if (!(s.animations && s.animations[name])) {
+                    if (window.console && window.console.warn)
+                        window.console.warn("Cartoon: Unknown animation: " + name);
+                    return next();
+                }
+
+                that.playAnimation(name, { loop: options && options.loop, promise: true }).always(proceed);
+                if (!done && options && options.loop) elem.on("loop.cartoon", check);
+            });
+
+            return this;
+        }
+
+
+
+
+        /** Returns the name of the active animation,
+         *  or null if no animation has been played yet.
+         */
+        function getAnimation() {
+            return state.animation;
+        }
+
+
+
+
+        /** Starts playing the cartoon.
+         *
+         *  Continues with the sequence number following that where it left off. If the end of the
+         *  sequence was already reached before and looping is disabled, this won't have any effect.
+         *  In that case, use rewind() first.
+         *
+         *  If the source image or the atlas is still loading, playback starts as soon as the
+         *  cartoon is ready().
+         *
+         *  Supported options:
+         *
+         *      promise     whether to return a promise for the end of playback, see above
+         */
+        function play(options) {
+            var promise = playback().promise();
+
+            playAt.call(this, now());
+            return options && options.promise ? promise : this;
+        }
+
+
+
+
+        /** Returns the deferred for the end of the current playback, making up one if there
+         *  is none yet.
+         */
+        function playback() {
+            if (state.playback === null) state.playback = $.Deferred();
+            return state.playback;
+        }
+
+
+
+
+        /** Resolves (if ok is set) or rejects the deferred for the end of the current playback,
+         *  if any, with the cartoon object.
+         */
+        function conclude(ok) {
+            var deferred = state.playback;
+
+            if (deferred === null) return;
+
+            state.playback = null;
+            deferred[ok ? "resolveWith" : "rejectWith"](cartoon, [cartoon]);
+        }
+
+
+
+
+        /** Starts playing the cartoon like play(), but as if it had been started at the given
+         *  time (as returned by the clock's now()). For a time in the past, the steps due since
+         *  are taken at once. For a time in the future, the first step is taken then.
+         *
+         *  This is what groups use to keep their members in lockstep.
+         */
+        function playAt(time) {
+            var that = this;
+            var ticker;
+
+
+            /* Takes as many steps as are due by the time t. Only the frame we end up
+             *  with is displayed, the ones in between are skipped. */
+            function X(t) {
+                var progress;
+                var delay;
+                var time;
+
+
+                // far behind: the clock was probably paused, so don't catch up
+                if (t - ticker.due > MAX_LAG) ticker.due = t;
+
+                while (ticker.due <= t) {
+                    progress = advance();
+                    delay = brake(next_delay(progress));
+                    time = ticker.due;
+
+                    if (delay === null) {
+                        halt();
+                        state.range = null;
+                    } else {
+                        ticker.due += delay;
+                    }
+
+                    if (progress !== 0) land(progress, delay === null || ticker.due > t, time);
+                    if (delay === null && state !== null && state.ticker === null) {
+                        fire("stop");
+
+                        // unless this was stop({ gentle: true }) halting
+                        if (state !== null) conclude(state.braking === null);
+                        if (state !== null) state.braking = null;
+                    }
+
+                    // stop()ped or destroy()ed from a callback
+                    if (state === null || state.ticker !== ticker) return;
+                }
+            }
+
+
+            // already playing (but maybe slowing down to stop), or driven by something else?
+            state.braking = null;
+            if (state.ticker !== null) return this;
+            if (s.driver !== "timer") {
+                conclude(false);
+                return this;
+            }
+
+            // reduced motion? then just show the poster frame
+            if (reduced()) {
+                still();
+                return this;
+            }
+
+            // not visible? then start once it is
+            if (s.pauseWhenHidden && hidden()) {
+                if (state.paused === null) state.paused = 0;
+                return this;
+            }
+
+            // wait for the image and the atlas to be loaded, unless stop()ped in the meantime
+            if (state.ready.state() === "pending") {
+                if (!state.playPending) {
+                    state.playPending = true;
+                    state.ready.done(function () {
+                        if (state === null || !state.playPending) return;
+                        state.playPending = false;
+                        that.play();
+                    });
+                }
+                return this;
+            }
+
+            // a frame restored by setState() is shown for the rest of its delay
+            ticker = state.ticker = { due: time + (state.remaining || 0), tick: X };
+            state.remaining = null;
+            fire("play");
+            X(now());
+            if (state !== null && state.ticker === ticker) schedule(ticker);
+
+            return this;
+        }
+
+
+
+
+        /** Takes the cartoon off the clock.
+         */
+        function halt() {
+            if (state.ticker !== null) {
+                unschedule(state.ticker);
+                state.ticker = null;
+            }
+        }
+
+
+
+
+        /** Returns the current time in ms on the cartoon's clock.
+         */
+        function now() {
+            return state.clock.now();
+        }
+
+
+
+
+        /** Adds a ticker to the cartoon's clock.
+         */
+        function schedule(ticker) {
+            state.clock.schedule(ticker);
+        }
+
+
+
+
+        /** Removes a ticker from the cartoon's clock.
+         */
+        function unschedule(ticker) {
+            state.clock.unschedule(ticker);
+        }
+
+
+
+
+        /** Switches over to the clock for the time source given by the clock option. If playing,
+         *  the next step stays due after the same time.
+         */
+        function use_clock() {
+            var previous = state.clock;
+            var ticker = state.ticker;
+
+            state.clock = clock_for(s.clock);
+            if (previous === state.clock) return;
+
+            hold_clock(state.clock, 1);
+            if (previous !== null) hold_clock(previous, -1);
+            if (previous === null || ticker === null) return;
+
+            previous.unschedule(ticker);
+            ticker.due += state.clock.now() - previous.now();
+            schedule(ticker);
+        }
+
+
+
+
+        /** Registers a function to be called whenever the cartoon arrives at a sequence number,
+         *  by a step (including those skipped because playback has fallen behind) or by skipTo().
+         *  It gets the sequence number and the time at which the step was due.
+         */
+        function hook(fn) {
+            state.hooks.push(fn);
+            return this;
+        }
+
+
+
+
+        /** Unregisters a function registered by _hook().
+         */
+        function unhook(fn) {
+            var i = $.inArray(fn, state.hooks);
+
+            if (i !== -1) state.hooks.splice(i, 1);
+            return this;
+        }
+
+
+
+
+        /** Returns whether the cartoon is playing, or about to, once loaded or visible.
+         */
+        function playing() {
+            return state.ticker !== null || state.playPending || state.paused !== null;
+        }
+
+
+
+
+        /** Plays the part of the sequence from the sequence number from through to (which may be
+         *  lower, to play it backwards), then stops, leaving the cartoon at the sequence number to.
+         *  The frame at from is displayed right away. Supported options:
+         *
+         *      loop        whether to play the range in a loop, until stop()ped. default is false
+         *
+         *      promise     whether to return a promise for the end of playback, see above
+         *
+         *  The range is in effect until playback ends, the cartoon is stop()ped or skipTo() leaves
+         *  the range; meanwhile, it takes the place of the sequence for step(), seeking,
+         *  getDuration() and the like, and its ends count as the ends of the sequence.
+         */
+        function playRange(from, to, options) {
+            var last = sequence_length() - 1;
+            var pass, promise;
+
+            this.stop();
+            if (last < 0) return options && options.promise ? playback().promise() : this;
+            promise = playback().promise();
+
+            state.range = {
+                from: Math.min(Math.max(Math.floor(from) || 0, 0), last),
+                to: Math.min(Math.max(Math.floor(to) || 0, 0), last),
+                loop: !!(options && options.loop)
+            };
+
+            pass = pass_geometry();
+            arrive(0, pass);
+
+            if (state !== null && state.range !== null) {
+                // the first frame is shown for its delay before the next step
+                state.remaining = position_delay(0, pass);
+                playAt.call(this, now());
+            }
+
+            return options && options.promise ? promise : this;
+        }
+
+
+
+
+        /** Lengthens the delay while stop({ gentle: true }) slows playback down,
+         *  or returns null once it is to halt.
+         */
+        function brake(delay) {
+            if (delay === null || state.braking === null) return delay;
+
+            state.braking++;
+            if (state.braking > BRAKE_STEPS) return null;
+
+            return delay * (BRAKE_STEPS + 1) / (BRAKE_STEPS + 1 - state.braking);
+        }
+
+
+
+
+        /** Stops playing the cartoon.
+         *  Does not change the current sequence position.
+         *
+         *  Supported options:
+         *
+         *      gentle      whether to slow down over a few more steps (with ever longer delays)
+         *                  before halting, instead of stopping right away. default is false
+         */
+        function stop(options) {
+            if (options && options.gentle && state.ticker !== null) {
+                if (state.braking === null) state.braking = 0;
+                return this;
+            }
+
+            state.braking = null;
+            state.playPending = false;
+            state.paused = null;
+            state.still = false;
+            state.range = null;
+
+            if (state.ticker !== null) {
+                halt();
+                fire("stop");
+            }
+
+            if (state !== null) conclude(false);
+
+            return this;
+        }
+
+
+
+
+        /** Returns the cartoon's current sequence number, i.e. the position within the animation.
          *  This is null if the cartoon has not yet started.
          */
-        function getSequenceNumber() {
-            return state.seqno;
+        function getSequenceNumber() {
+            return state.seqno;
+        }
+
+
+
+
+        /** Returns the screen element, i.e. the element in which the cartoon is displayed,
+         *  as a jQuery result set holding just that element.
+         *
+         *  This can be useful to identify the screen element from a callback function,
+         *  which gets the passed the cartoon object as an argument.
+         */
+        function getScreen() {
+            return screen;
+        }
+
+
+
+
+        /****   Drivers other than the timer.   ****/
+
+
+        /** Sets up the driver configured by the driver option, after tearing down the
+         *  previous one. A cartoon that is play()ing is stopped when a scroll or drag
+         *  driver takes over.
+         */
+        function drive() {
+            if (state.undrive !== null) {
+                state.undrive();
+                state.undrive = null;
+            }
+
+            if (s.driver === "scroll") state.undrive = drive_scroll();
+            if (s.driver === "drag") state.undrive = drive_drag();
+            if (state.undrive !== null) stop();
+        }
+
+
+
+
+        /** Moves to the sequence number at the given (fractional) position, wrapping around
+         *  the ends of the sequence when looping and clamping to them otherwise.
+         *
+         *  Returns false if the position had to be clamped.
+         */
+        function scrub(pos) {
+            var count = sequence_length();
+            var seqno = Math.round(pos);
+            var clamped = false;
+
+            if (!count) return false;
+
+            if (s.loop) {
+                seqno = (seqno % count + count) % count;
+            } else if (seqno < 0 || seqno > count - 1) {
+                seqno = seqno < 0 ? 0 : count - 1;
+                clamped = true;
+            }
+
+            if (seqno !== state.seqno) skipTo(seqno);
+
+            return !clamped;
+        }
+
+
+
+
+        /** Makes the sequence follow the screen's progress through the viewport.
+         *  Returns the function to tear this down again.
+         */
+        function drive_scroll() {
+            var win = $(window);
+
+
+            function update() {
+                var rect = screen[0].getBoundingClientRect();
+                var height = window.innerHeight || document.documentElement.clientHeight;
+                var progress = Math.min(Math.max((height - rect.top) / (height + rect.height), 0), 1);
+
+                scrub(progress * (sequence_length() - 1));
+            }
+
+
+            win.on("scroll resize", update);
+            state.ready.done(function () {
+                if (state !== null && s.driver === "scroll") update();
+            });
+
+            return function () {
+                win.off("scroll resize", update);
+            };
+        }
+
+
+
+
+        /** Makes the sequence follow horizontal drags across the screen.
+         *  Returns the function to tear this down again.
+         */
+        function drive_drag() {
+            var doc = $(document);
+            var touchAction = screen.css("touch-action");
+            var glide = null;
+            var startX, startPos, pos, lastX, lastTime, speed;
+
+
+            // the distance in pixels per step
+            function distance() {
+                return s.dragDistance || screen.width() / (sequence_length() || 1) || 1;
+            }
+
+
+            function start(event) {
+                // only the primary mouse button drags
+                if (event.button > 0) return;
+
+                if (glide !== null) unschedule(glide);
+                glide = null;
+
+                startX = lastX = pointer_x(event);
+                startPos = pos = state.seqno || 0;
+                lastTime = now();
+                speed = 0;
+
+                doc.on(DRAG_EVENTS.move, move).on(DRAG_EVENTS.end, end);
+                if (event.type !== "touchstart") event.preventDefault();
+            }
+
+
+            function move(event) {
+                var x = pointer_x(event);
+                var t = now();
+
+                if (t > lastTime) speed = (x - lastX) / distance() / (t - lastTime);
+                lastX = x;
+                lastTime = t;
+
+                pos = startPos + (x - startX) / distance();
+                scrub(pos);
+            }
+
+
+            function end() {
+                var last = lastTime;
+
+                doc.off(DRAG_EVENTS.move, move).off(DRAG_EVENTS.end, end);
+
+                // a pointer held still before its release gives no push
+                if (!s.inertia || now() - lastTime > 100 || Math.abs(speed) < MIN_GLIDE) return;
+
+                glide = {
+                    due: last,
+                    tick: function (t) {
+                        pos += speed * (t - last);
+                        speed *= Math.pow(FRICTION, t - last);
+                        last = glide.due = t;
+
+                        if (!scrub(pos) || Math.abs(speed) < MIN_GLIDE) {
+                            unschedule(glide);
+                            glide = null;
+                        }
+                    }
+                };
+                schedule(glide);
+            }
+
+
+            screen.css("touch-action", "pan-y").on(DRAG_EVENTS.start, start);
+
+            return function () {
+                screen.css("touch-action", touchAction).off(DRAG_EVENTS.start, start);
+                doc.off(DRAG_EVENTS.move, move).off(DRAG_EVENTS.end, end);
+                if (glide !== null) unschedule(glide);
+            };
+        }
+
+
+
+
+        /****   Fitting the frames to the screen.    ****/
+
+
+        /** Starts or stops tracking the size of the screen element, according to the fit
+         *  option, and displays the current frame accordingly.
+         */
+        function refit() {
+            if (state.unfit !== null) {
+                state.unfit();
+                state.unfit = null;
+            }
+
+            if (s.fit) state.unfit = track_size();
+            redisplay();
+        }
+
+
+
+
+        /** Keeps state.box up to date with the size of the screen element, redisplaying the
+         *  current frame on every change. Returns the function to stop tracking.
+         */
+        function track_size() {
+            var resizing = null;
+
+
+            function update() {
+                if (state === null) return;
+
+                state.box = { width: screen.width(), height: screen.height() };
+                redisplay();
+            }
+
+
+            if (window.ResizeObserver) {
+                resizing = new window.ResizeObserver(update);
+                resizing.observe(screen[0]);
+            } else {
+                $(window).on("resize", update);
+            }
+            state.box = { width: screen.width(), height: screen.height() };
+
+            return function () {
+                if (resizing !== null) resizing.disconnect();
+                $(window).off("resize", update);
+                state.box = null;
+            };
+        }
+
+
+
+
+        /****   Pausing while hidden.    ****/
+
+
+        /** Starts or stops watching the visibility of the screen and the page,
+         *  according to the pauseWhenHidden option.
+         */
+        function watch() {
+            if (state.unwatch !== null) {
+                state.unwatch();
+                state.unwatch = null;
+            }
+            state.offscreen = false;
+
+            if (s.pauseWhenHidden) {
+                state.unwatch = watch_visibility();
+            } else if (state.paused !== null) {
+                resume();
+            }
+        }
+
+
+
+
+        /** Observes the screen entering and leaving the viewport as well as the page being
+         *  hidden and shown again, and pauses or resumes playback accordingly.
+         *  Returns the function to stop observing.
+         */
+        function watch_visibility() {
+            var doc = $(document);
+            var intersection = null;
+
+
+            function update() {
+                if (state === null) return;
+
+                if (!hidden()) {
+                    if (state.paused !== null) resume();
+                } else if (state.ticker !== null) {
+                    pause();
+                }
+            }
+
+
+            if (window.IntersectionObserver) {
+                intersection = new window.IntersectionObserver(function (entries) {
+                    state.offscreen = !entries[entries.length - 1].isIntersecting;
+                    update();
+                });
+                intersection.observe(screen[0]);
+            }
+            doc.on("visibilitychange", update);
+
+            return function () {
+                if (intersection !== null) intersection.disconnect();
+                doc.off("visibilitychange", update);
+            };
+        }
+
+
+
+
+        /** Returns whether the screen is out of the viewport or the page is hidden.
+         */
+        function hidden() {
+            return state.offscreen || !!document.hidden;
+        }
+
+
+
+
+        /** Stops playing because the cartoon is hidden, remembering how long the current frame
+         *  had left to show.
+         */
+        function pause() {
+            var remaining = Math.max(state.ticker.due - now(), 0);
+            var range = state.range;
+            var deferred = state.playback;
+
+            // this playback isn't over, it's only interrupted
+            state.playback = null;
+            stop();
+            state.paused = remaining;
+            state.range = range;
+            state.playback = deferred;
         }
 
 
 
 
-        /** Returns the screen element, i.e. the element in which the cartoon is displayed,
-         *  as a jQuery result set. Most of the time this is the jQuery object that you
-         *  initially called the cartoon() method on.
-         *
-         *  This can be useful to identify the screen element from a callback function,
-         *  which gets the passed the cartoon object as an argument.
+        /** Resumes playback after pause(), showing the current frame for what it had left.
          */
-        function getScreen() {
-            return screen;
+        function resume() {
+            var remaining = state.paused;
+
+            state.paused = null;
+            playAt.call(cartoon, now() + remaining);
+        }
+
+
+
+
+        /****   Reduced motion.    ****/
+
+
+        /** Returns whether play() should show the poster frame instead of animating.
+         */
+        function reduced() {
+            return s.reducedMotion === "respect" && state.motion !== null && state.motion.matches;
+        }
+
+
+
+
+        /** Shows the poster frame in place of playback, once the cartoon is ready,
+         *  and invokes the end callbacks.
+         */
+        function still() {
+            state.still = true;
+
+            state.ready.done(function () {
+                var frameno;
+                var pass;
+
+                if (state === null || !state.still) return;
+
+                if (s.posterFrame !== null) {
+                    frameno = frame_index(s.posterFrame);
+                } else {
+                    pass = pass_geometry();
+                    frameno = seq2frame(seqno_at(pass.length, pass));
+                }
+
+                if (frameno !== null && frameno !== undefined) display_frame(frameno);
+                fire("end");
+                if (state !== null) conclude(true);
+            });
+        }
+
+
+
+
+        /** Adapts to the reduced motion preference (or the reducedMotion option) having changed:
+         *  stops animating if it now applies, or starts if playback was held back by it.
+         */
+        function motion_changed() {
+            if (state === null) return;
+
+            if (reduced()) {
+                if (state.ticker === null && !state.playPending && state.paused === null) return;
+                stop();
+                still();
+            } else if (state.still) {
+                state.still = false;
+                play.call(cartoon);
+            }
         }
 
 
@@ -543,11 +3730,26 @@
          *
          *  This makes resources eligible for garbage collection. Use this if the lifetime
          *  of a cartoon is shorter than the page lieftime, i.e. the cartoon is only temporarily
-         *  displayed. You may set up another cartoon on the same screen element later.
+         *  displayed. You may set up another cartoon on the same screen element later, even
+         *  right away. With restoreOnDestroy set, the screen element's inline style is restored.
          */
         function destroy() {
-            this.stop().rewind();
+            // first of all, so nothing started from the callbacks below plays on
             screen.data('cartoon', null);
+
+            if (state.undrive !== null) state.undrive();
+            if (state.unfit !== null) state.unfit();
+            if (state.unwatch !== null) state.unwatch();
+            if (state.motion !== null) listen(state.motion, "change", motion_changed, false);
+            this.stop().rewind();
+            fire("destroy");
+            if (state === null) return;
+
+            this.stop();
+            state.renderer.destroy();
+            hold_clock(state.clock, -1);
+            if (s.restoreOnDestroy && state.style === undefined) screen.removeAttr("style");
+            if (s.restoreOnDestroy && state.style !== undefined) screen.attr("style", state.style);
             screen = state = s = this._screen = this._settings = this._state = null;
         }
 
@@ -558,74 +3760,582 @@
 
         /****   Ok, let's begin.    ****/
 
-        /* narrow down the jQuery selection to only one matched element */
-        screen = this.length === 1 ? this : this.first();
-
 
-        /* Check if a cartoon is already associated with this element.
-         *  If so, take that one, otherwise create a new cartoon object from default values.
-         *  WARNING: If we pick up an already existing cartoon, our private variables here
-         *  are not properly initialized. Private methods might therefore not work.
+        /* Check if a cartoon is already associated with this element. If so, leave it to that
+         *  one's closure, as ours would work on objects of its own.
          */
-        cartoon = screen.data('cartoon') || {
+        cartoon = instance_of(screen);
+        if (cartoon) {
+            cartoon.configure(settings);
+            if (settings && settings.state) cartoon.setState(settings.state);
+            if (settings && settings.autoplay) cartoon.play();
+            return cartoon;
+        }
+
+
+        /* otherwise create a new cartoon object from default values */
+        cartoon = {
             _screen: screen,
             _settings: default_settings(screen),
             _state: {
-                timeout: null,          /* if non-null, we're currently play()ing */
-                seqno: null             /* current sequence number */
+                ticker: null,           /* if non-null, we're currently play()ing */
+                seqno: null,            /* current sequence number */
+                atlas: null,            /* normalized atlas, see parse_atlas() */
+                image: null,            /* natural size of the source image */
+                ready: null,            /* deferred resolved once the image and atlas are loaded */
+                checked: false,         /* the sequence was checked in full before loading */
+                playPending: false,     /* play() was called while loading */
+                autoWidth: !(settings && settings.width),   /* frame size taken from the screen */
+                autoHeight: !(settings && settings.height),
+                returning: false,       /* on the way back in the "alternate" direction */
+                animation: null,        /* name of the active animation */
+                queued: null,           /* name of the animation to switch over to at the end of the pass */
+                switching: null,        /* name of the animation to switch over to on the next step */
+                base: null,             /* the settings from before the first animation */
+                hooks: [run_cues],      /* functions registered by _hook(), and the cue points' */
+                cues: [],               /* cue points added by addCue() */
+                range: null,            /* the range played by playRange() */
+                undrive: null,          /* tears down the scroll or drag driver */
+                unwatch: null,          /* stops watching the visibility for pauseWhenHidden */
+                offscreen: false,       /* the screen is out of the viewport */
+                paused: null,           /* if non-null, paused while hidden, with the ms left on the frame */
+                motion: motion_query(), /* the media query list for prefers-reduced-motion */
+                still: false,           /* showing the poster frame in place of playback */
+                density: null,          /* pixel density of the image chosen from the srcset */
+                box: null,              /* size of the screen element, tracked for fit */
+                unfit: null,            /* stops tracking the size of the screen element */
+                element: null,          /* the loaded <img> element of the source image */
+                url: null,              /* the URL of the source image */
+                renderer: null,         /* displays the frames, see render_with() */
+                remaining: null,        /* time left on the frame restored by setState() */
+                eased: null,            /* the times cached by eased_times() */
+                braking: null,          /* steps taken since stop({ gentle: true }) */
+                clock: null,            /* the clock played by, see use_clock() */
+                playback: null,         /* deferred for the end of the current playback */
+                style: screen.attr("style") /* the screen element's inline style, for restoreOnDestroy */
             },
 
             play: play,
+            playRange: playRange,
             stop: stop,
             step: step,
+            stepBack: stepBack,
+            playAnimation: playAnimation,
+            getAnimation: getAnimation,
+            queue: queue,
+            addCue: addCue,
+            removeCue: removeCue,
+            ready: ready,
+            getImageSize: getImageSize,
             rewind: rewind,
             skipTo: skipTo,
             displayFrame: displayFrame,
             getSequenceNumber: getSequenceNumber,
+            getDuration: getDuration,
+            getCurrentTime: getCurrentTime,
+            getProgress: getProgress,
+            seekTime: seekTime,
+            seekProgress: seekProgress,
+            getState: getState,
+            setState: setState,
             getScreen: getScreen,
             configure: configure,
-            destroy: destroy
+            option: option,
+            destroy: destroy,
+
+            // not for public use, but for groups
+            _playAt: playAt,
+            _now: now,
+            _playing: playing,
+            _hook: hook,
+            _unhook: unhook
         };
 
 
         /* Set up our local vars to point to the cartoon's state and settings.
          *  Our methods will then work on the closured vars, saving access to the cartoon properties
          *  with much longer names (this saves us bytes on minification).
-         *  One noteworthy point is that in case we work on an earlier created cartoon (extracted by screen.data())
-         *  the public methods of that object and private methods called from there will work on the earlier
-         *  created closure, while private methods called directly from here don't have access to that closure;
-         *  they access /our/ closure instead. That's why the local vars of both closures must point to the same
-         *  objects. Therefore we init our closure's private vars from the state saved in the cartoon object.
          */
         screen = cartoon._screen;
         s = cartoon._settings;
         state = cartoon._state;
 
 
-        /* now merge supplied settings to existing config */
+        /* now merge supplied settings into the defaults; a copy of them, as merge_settings()
+         *  adjusts what it's given and the same object is passed for every element set up */
+        settings = $.extend({}, settings);
         merge_settings(s, settings);
+        if (settings && settings.width) state.autoWidth = false;
+        if (settings && settings.height) state.autoHeight = false;
 
+        /* some sanity checks before anything is applied, so there's nothing to undo if they fail;
+         *  what's missing might still be figured out once the image or atlas are loaded */
+        if (s.atlas && typeof s.atlas !== "string") state.atlas = parse_atlas(s.atlas);
+        state.checked = !(s.srcset || s.src || typeof s.atlas === "string" || background_url(screen));
+        check_settings(s, !state.checked);
 
-
-        /* some sanity checks */
-        switch (s.mode) {
-            case "movie":
-                if (!s.frameCount)
-                    $.error("Frame count not set in movie mode!");
-                break;
-            case "sequence":
-            case "varsequence":
-                if (!s.sequence.length)
-                    $.error("No playback sequence given!");
-                break;
-            default:
-                $.error('Unkown playback mode: ' + s.mode);
-        }
+        use_clock();
+        load();
+        render_with();
+        if (settings && (settings.fit !== undefined || settings.scale !== undefined ||
+            settings.pixelRatio !== undefined)) refit();
+        if (settings && settings.driver !== undefined) drive();
+        if (settings && settings.pauseWhenHidden !== undefined) watch();
+        if (state.motion !== null) listen(state.motion, "change", motion_changed, true);
 
 
         /* attach the cartoon object to the element in case the user looses it */
         screen.data('cartoon', cartoon);
 
+        if (settings && settings.state) cartoon.setState(settings.state);
+        if (settings && settings.autoplay) cartoon.play();
+
         return cartoon;
+    }
+
+
+
+
+    /** The jQuery plugin method.
+     *
+     *  Called with a settings object (or nothing), sets up a cartoon on each matched element,
+     *  see setup(). Called with a method name, calls that method on the cartoon of each matched
+     *  element, passing the remaining arguments. The method name "instance" returns the cartoon
+     *  object of the first matched element instead.
+     *
+     *  Returns the jQuery object for chaining, unless a method returns something other than the
+     *  cartoon object. In that case, the first such value is returned (the method is called on
+     *  all matched elements nonetheless).
+     */
+    $.fn.cartoon = function (method) {
+        var args = Array.prototype.slice.call(arguments, 1);
+        var result;
+
+        if (typeof method !== "string") {
+            return this.each(function () {
+                setup($(this), method);
+            });
+        }
+
+        if (method === "instance") return instance_of(this.first()) || undefined;
+
+        this.each(function () {
+            var cartoon = instance_of($(this));
+            var value;
+
+            if (!cartoon)
+                $.error("Cannot call cartoon method '" + method + "' prior to initialization");
+            if (method.charAt(0) === "_" || typeof cartoon[method] !== "function")
+                $.error("No such cartoon method: " + method);
+
+            value = cartoon[method].apply(cartoon, args);
+            if (value !== cartoon && value !== undefined && result === undefined) result = value;
+        });
+
+        return result === undefined ? this : result;
+    };
+
+
+
+
+    /****   Groups of cartoons playing in lockstep.    ****/
+
+
+    /** Returns the cartoon object for a group member given as a cartoon object or as anything
+     *  jQuery accepts for the screen element. If there is none, returns null if lenient is set,
+     *  or else throws an error.
+     */
+    function member_cartoon(member, lenient) {
+        var cartoon = member && typeof member._playAt === "function" ?
+            member : $(member).cartoon("instance");
+
+        if (!cartoon && !lenient) $.error("No cartoon set up for group member");
+
+        return cartoon || null;
+    }
+
+
+
+
+    /** Creates a group of cartoons which are played, stopped, rewound and positioned together
+     *  on a shared clock, so they stay frame-locked. See the documentation at the top.
+     */
+    function group(members) {
+        var entries = [];       /* { cartoon, offset, startAt, started, hook, drop } per member */
+        var playing = false;
+        var self;
+
+
+
+
+        /** Returns the index of the entry for the given member, or -1.
+         */
+        function find(member) {
+            var cartoon = member_cartoon(member, true);
+            var index = -1;
+
+            $.each(entries, function (i, entry) {
+                if (entry.cartoon === cartoon) {
+                    index = i;
+                    return false;
+                }
+            });
+
+            return index;
+        }
+
+
+
+
+        /** Returns the current time in ms on the clock of the first member.
+         */
+        function now() {
+            return entries.length ? entries[0].cartoon._now() : clock_for(null).now();
+        }
+
+
+
+
+        /** Unregisters the hook waiting for the entry's startAt condition, if any.
+         */
+        function release(entry) {
+            if (entry.hook === null) return;
+            entry.startAt.cartoon._unhook(entry.hook);
+            entry.hook = null;
+        }
+
+
+
+
+        /** Starts playing the entry's cartoon on the clock started at the given time,
+         *  taking its offset or startAt condition into account unless it was started before.
+         */
+        function start(entry, time) {
+            if (entry.started || !entry.startAt) {
+                entry.cartoon._playAt(entry.started ? time : time + entry.offset);
+                entry.started = true;
+                return;
+            }
+
+            entry.hook = function (seqno, due) {
+                if (seqno !== entry.startAt.seqno) return;
+                release(entry);
+                entry.started = true;
+                entry.cartoon._playAt(due);
+            };
+            entry.startAt.cartoon._hook(entry.hook);
+        }
+
+
+
+
+        /** Drops the member whose cartoon is being destroy()ed. Members waiting for it to
+         *  arrive at their startAt sequence number start right away if the group is playing.
+         */
+        function drop(cartoon) {
+            remove(cartoon);
+
+            $.each(entries, function (i, entry) {
+                if (entry.startAt === null || entry.startAt.cartoon !== cartoon) return;
+
+                release(entry);
+                entry.startAt = null;
+                if (playing) start(entry, now());
+            });
+        }
+
+
+
+
+        /** Adds a member. If the group is playing, the member starts playing right away
+         *  (subject to its offset or startAt condition).
+         */
+        function add(member) {
+            var spec = $.isPlainObject(member) && !member._playAt ? member : { cartoon: member };
+            var entry = {
+                cartoon: member_cartoon(spec.cartoon),
+                offset: spec.offset * 1 || 0,
+                startAt: null,
+                started: false,
+                hook: null,
+                drop: null
+            };
+
+            if (spec.startAt) {
+                entry.startAt = {
+                    cartoon: member_cartoon(spec.startAt.cartoon),
+                    seqno: spec.startAt.seqno
+                };
+            }
+
+            if (find(entry.cartoon) === -1) {
+                // the event bubbles, so it may come from a cartoon nested in this one
+                entry.drop = function (event, cartoon) {
+                    if (cartoon === entry.cartoon) drop(cartoon);
+                };
+                entry.cartoon.getScreen().on("destroy.cartoon", entry.drop);
+
+                entries.push(entry);
+                if (playing) start(entry, now());
+            }
+
+            return self;
+        }
+
+
+
+
+        /** Removes a member, leaving its cartoon as it is.
+         */
+        function remove(member) {
+            var i = find(member);
+            var entry;
+
+            if (i !== -1) {
+                entry = entries[i];
+                release(entry);
+                entry.cartoon.getScreen().off("destroy.cartoon", entry.drop);
+                entries.splice(i, 1);
+            }
+
+            return self;
+        }
+
+
+
+
+        /** Starts playing all members on a shared clock.
+         *  Members which were stopped halfway continue where they left off.
+         */
+        function play() {
+            var time = now();
+
+            if (isPlaying()) return self;
+            playing = true;
+
+            $.each(entries, function (i, entry) { start(entry, time); });
+
+            return self;
+        }
+
+
+
+
+        /** Stops playing all members.
+         */
+        function stop() {
+            playing = false;
+
+            $.each(entries, function (i, entry) {
+                release(entry);
+                entry.cartoon.stop();
+            });
+
+            return self;
+        }
+
+
+
+
+        /** Rewinds all members. If the group is playing, it starts over, so offsets and startAt
+         *  conditions apply once more.
+         */
+        function rewind() {
+            var resume = playing;
+
+            stop();
+
+            $.each(entries, function (i, entry) {
+                entry.started = false;
+                entry.cartoon.rewind();
+            });
+
+            if (resume) play();
+
+            return self;
+        }
+
+
+
+
+        /** Displays the frame assigned to the given sequence number on all members, which
+         *  thereby count as started. If the group is playing, it goes on from there.
+         */
+        function skipTo(seqno) {
+            var resume = playing;
+
+            stop();
+
+            $.each(entries, function (i, entry) {
+                entry.started = true;
+                entry.cartoon.skipTo(seqno);
+            });
+
+            if (resume) play();
+
+            return self;
+        }
+
+
+
+
+        /** Returns an array of the members' cartoon objects.
+         */
+        function getMembers() {
+            return $.map(entries, function (entry) { return entry.cartoon; });
+        }
+
+
+
+
+        /** Returns whether the group is playing, i.e. was play()ed and has members which haven't
+         *  finished yet (including those still waiting to start).
+         */
+        function isPlaying() {
+            var busy = false;
+
+            $.each(entries, function (i, entry) {
+                busy = entry.hook !== null || entry.cartoon._playing();
+                return !busy;
+            });
+
+            return playing && busy;
+        }
+
+
+
+
+        self = {
+            play: play,
+            stop: stop,
+            rewind: rewind,
+            skipTo: skipTo,
+            add: add,
+            remove: remove,
+            getMembers: getMembers,
+            isPlaying: isPlaying
+        };
+
+        $.each(members || [], function (i, member) { add(member); });
+
+        return self;
+    }
+
+
+
+
+    /****   Declarative setup from data attributes.    ****/
+
+
+    var DECLARATIVE = "[data-cartoon]";
+    var observer = null;
+
+    /* the cartoons set up by init(); we can't rely on finding them by data() once their
+     *  elements are removed, as jQuery's remove() throws away the data */
+    var declared = [];
+
+
+
+
+    /** Returns the settings given by the data-cartoon-* attributes of the element,
+     *  on top of those given as a JSON object by the data-cartoon attribute.
+     */
+    function data_settings(elem) {
+        var base = $(elem).data("cartoon");
+        var settings = $.isPlainObject(base) ? $.extend({}, base) : {};
+
+        // jQuery hands out the attributes with camel-cased names, as in cartoonFrameCount
+        $.each($(elem).data(), function (key, value) {
+            if (key.length <= 7 || key.indexOf("cartoon") !== 0) return;
+            settings[key.charAt(7).toLowerCase() + key.substring(8)] = value === "" ? true : value;
+        });
+
+        return settings;
+    }
+
+
+
+
+    /** Returns the elements with a data-cartoon attribute within the context,
+     *  including the context itself.
+     */
+    function declarative(context) {
+        var elems = $(context);
+        return elems.filter(DECLARATIVE).add(elems.find(DECLARATIVE));
+    }
+
+
+
+
+    /** Sets up cartoons from the data attributes of the elements with a data-cartoon attribute
+     *  within the context (default is the document), unless they have one already.
+     *
+     *  An element whose setup fails is reported on the console and left alone, so the others
+     *  still get their cartoons.
+     */
+    function init(context) {
+        declarative(context || document).each(function () {
+            if (instance_of($(this))) return;
+
+            try {
+                declared.push(setup($(this), data_settings(this)));
+            } catch (e) {
+                if (window.console && window.console.error)
+                    window.console.error("Cartoon: " + e.message, this);
+            }
+        });
+    }
+
+
+
+
+    /** Starts watching the document for elements with a data-cartoon attribute being
+     *  inserted or removed, setting up or destroying their cartoons accordingly.
+     */
+    function observe() {
+        if (observer !== null || !window.MutationObserver) return;
+
+        observer = new window.MutationObserver(function (mutations) {
+            var removed = false;
+
+            $.each(mutations, function (i, mutation) {
+                if (mutation.removedNodes.length) removed = true;
+
+                $.each(mutation.addedNodes, function (j, node) {
+                    if (node.nodeType === 1) init(node);
+                });
+            });
+
+            // elements which were just moved elsewhere are back in the document by now
+            if (removed) {
+                declared = $.grep(declared, function (cartoon) {
+                    var screen = cartoon.getScreen();
+
+                    if (screen === null) return false;      // destroy()ed already
+                    if ($.contains(document.documentElement, screen[0])) return true;
+
+                    cartoon.destroy();
+                    return false;
+                });
+            }
+        });
+
+        observer.observe(document.documentElement, { childList: true, subtree: true });
+    }
+
+
+
+
+    $.cartoon = {
+        group: group,
+        init: init,
+        autoInit: true
     };
+
+
+    $(function () {
+        if (!$.cartoon.autoInit) return;
+        observe();
+        init(document);
+    });
 }(jQuery));
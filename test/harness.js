@@ -0,0 +1,105 @@
+/*
+ *  Headless test harness: a jsdom window with jQuery and the plugin loaded, a fake clock
+ *  which is advanced by hand, and a virtual screen recording the frames displayed.
+ */
+
+var fs = require("fs");
+var path = require("path");
+var JSDOM = require("jsdom").JSDOM;
+
+var JQUERY = fs.readFileSync(require.resolve("jquery"), "utf8");
+var CARTOON = fs.readFileSync(path.join(__dirname, "..", "src", "cartoon.js"), "utf8");
+
+
+
+
+/** Creates a fake time source for the clock option. Time only passes by advance(ms), which
+ *  runs the timeouts falling due meanwhile in order, each at its due time.
+ */
+function fake_clock() {
+    var time = 0;
+    var timers = [];
+    var next_id = 1;
+
+
+    function next_due(until) {
+        var next = null;
+
+        timers.forEach(function (timer) {
+            if (timer.due <= until && (next === null || timer.due < next.due)) next = timer;
+        });
+
+        return next;
+    }
+
+
+    return {
+        now: function () {
+            return time;
+        },
+
+        setTimeout: function (fn, ms) {
+            timers.push({ id: next_id, due: time + (ms || 0), fn: fn });
+            return next_id++;
+        },
+
+        clearTimeout: function (id) {
+            timers = timers.filter(function (timer) { return timer.id !== id; });
+        },
+
+        advance: function (ms) {
+            var until = time + ms;
+            var timer;
+
+            while ((timer = next_due(until)) !== null) {
+                timers.splice(timers.indexOf(timer), 1);
+                time = timer.due;
+                timer.fn();
+            }
+
+            time = until;
+        }
+    };
+}
+
+
+
+
+/** Sets up a cartoon on a fresh page, playing by a fake clock and rendering to a virtual
+ *  screen. Returns { window, $, clock, cartoon, frames, shown }, where frames lists what
+ *  was displayed as { time, frameno }, and shown() returns the frame numbers displayed so far.
+ */
+function setup(options) {
+    var dom = new JSDOM('<!DOCTYPE html><body><div id="screen"></div></body>', { runScripts: "outside-only" });
+    var window = dom.window;
+    var clock = fake_clock();
+    var frames = [];
+    var cartoon;
+
+    window.eval(JQUERY);
+    window.eval(CARTOON);
+
+    cartoon = window.jQuery("#screen").cartoon(Object.assign({
+        width: 10,
+        height: 10,
+        clock: clock,
+        onRender: function (cartoon, frame, frameno) {
+            frames.push({ time: clock.now(), frameno: frameno });
+            return false;
+        }
+    }, options)).cartoon("instance");
+
+    return {
+        window: window,
+        $: window.jQuery,
+        clock: clock,
+        cartoon: cartoon,
+        frames: frames,
+        shown: function () {
+            return frames.map(function (frame) { return frame.frameno; });
+        }
+    };
+}
+
+
+module.exports = { fake_clock: fake_clock, setup: setup };
@@ -0,0 +1,104 @@
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var harness = require("./harness");
+
+
+function times(t) {
+    return t.frames.map(function (frame) { return frame.time; });
+}
+
+
+test("a looping cartoon starts over after the last frame", function () {
+    var t = harness.setup({ frameCount: 3, delay: 100, loop: true });
+
+    t.cartoon.play();
+    t.clock.advance(850);
+
+    assert.deepEqual(t.shown(), [0, 1, 2, 0, 1, 2, 0, 1, 2]);
+    assert.deepEqual(times(t), [0, 100, 200, 300, 400, 500, 600, 700, 800]);
+});
+
+
+test("loopDelay replaces the delay after the last frame", function () {
+    var t = harness.setup({ frameCount: 3, delay: 100, loop: true, loopDelay: 500 });
+
+    t.cartoon.play();
+    t.clock.advance(1000);
+
+    assert.deepEqual(t.shown(), [0, 1, 2, 0, 1, 2]);
+    assert.deepEqual(times(t), [0, 100, 200, 700, 800, 900]);
+});
+
+
+test("loopDelay is ignored without loop", function () {
+    var t = harness.setup({ frameCount: 3, delay: 100, loopDelay: 500 });
+
+    t.cartoon.play();
+    t.clock.advance(1000);
+
+    assert.deepEqual(times(t), [0, 100, 200]);
+});
+
+
+test("varsequence loops after the last frame's delay, or else the loopDelay", function () {
+    var held = harness.setup({ mode: "varsequence", sequence: [0, 50, 1, 300], loop: true });
+    var open = harness.setup({ mode: "varsequence", sequence: [0, 50, 1], loop: true, loopDelay: 200 });
+
+    held.cartoon.play();
+    held.clock.advance(400);
+    open.cartoon.play();
+    open.clock.advance(300);
+
+    assert.deepEqual(times(held), [0, 50, 350, 400]);
+    assert.deepEqual(times(open), [0, 50, 250, 300]);
+});
+
+
+test("loop events fire on every wrap around, the end event on every last frame", function () {
+    var t = harness.setup({ frameCount: 2, delay: 100, loop: true });
+    var events = [];
+
+    t.$("#screen").on("loop.cartoon end.cartoon", function (event) { events.push(event.type); });
+
+    t.cartoon.play();
+    t.clock.advance(450);
+
+    assert.deepEqual(events, ["end", "loop", "end", "loop"]);
+});
+
+
+test("skipFirst skips the first frame on the first play() only", function () {
+    var t = harness.setup({ frameCount: 3, delay: 100, loop: true, skipFirst: true });
+
+    t.cartoon.play();
+    t.clock.advance(450);
+
+    assert.deepEqual(t.shown(), [1, 2, 0, 1, 2]);
+});
+
+
+test("skipFirst doesn't apply after rewind()", function () {
+    var t = harness.setup({ frameCount: 3, delay: 100, skipFirst: true });
+
+    t.cartoon.play();
+    t.clock.advance(1000);
+    t.cartoon.rewind().play();
+    t.clock.advance(1000);
+
+    assert.deepEqual(t.shown(), [1, 2, 0, 1, 2]);
+});
+
+
+test("stop() halts playback, play() goes on from there", function () {
+    var t = harness.setup({ frameCount: 4, delay: 100, loop: true });
+
+    t.cartoon.play();
+    t.clock.advance(150);
+    t.cartoon.stop();
+    t.clock.advance(1000);
+    assert.deepEqual(t.shown(), [0, 1]);
+
+    t.cartoon.play();
+    t.clock.advance(150);
+    assert.deepEqual(t.shown(), [0, 1, 2, 3]);
+});
@@ -0,0 +1,87 @@
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var harness = require("./harness");
+
+
+test("movie mode plays the frames in order, one per delay", function () {
+    var t = harness.setup({ frameCount: 4, delay: 100 });
+
+    t.cartoon.play();
+    t.clock.advance(1000);
+
+    assert.deepEqual(t.frames, [
+        { time: 0, frameno: 0 },
+        { time: 100, frameno: 1 },
+        { time: 200, frameno: 2 },
+        { time: 300, frameno: 3 }
+    ]);
+    assert.equal(t.cartoon.getSequenceNumber(), 3);
+});
+
+
+test("fps sets the delay, and numbers may be given as strings", function () {
+    var t = harness.setup({ frameCount: "3", fps: 20 });
+
+    t.cartoon.play();
+    t.clock.advance(1000);
+
+    assert.deepEqual(t.frames.map(function (frame) { return frame.time; }), [0, 50, 100]);
+});
+
+
+test("sequence mode plays the frames given by the sequence", function () {
+    var t = harness.setup({ mode: "sequence", sequence: [3, 1, 1, 2], frameCount: 4, delay: 50 });
+
+    t.cartoon.play();
+    t.clock.advance(1000);
+
+    assert.deepEqual(t.frames, [
+        { time: 0, frameno: 3 },
+        { time: 50, frameno: 1 },
+        { time: 100, frameno: 1 },
+        { time: 150, frameno: 2 }
+    ]);
+});
+
+
+test("sequence mode rejects frames beyond the frame count", function () {
+    assert.throws(function () {
+        harness.setup({ mode: "sequence", sequence: [0, 4], frameCount: 4 });
+    }, /at index 1: frame number out of range/);
+});
+
+
+test("varsequence mode waits for each frame's own delay", function () {
+    var t = harness.setup({ mode: "varsequence", sequence: [2, 50, 0, 150, 3, 20] });
+
+    t.cartoon.play();
+    t.clock.advance(1000);
+
+    assert.deepEqual(t.frames, [
+        { time: 0, frameno: 2 },
+        { time: 50, frameno: 0 },
+        { time: 200, frameno: 3 }
+    ]);
+});
+
+
+test("the mode may be abbreviated", function () {
+    assert.equal(harness.setup({ mode: "seq", sequence: [0] }).cartoon.option("mode"), "sequence");
+    assert.equal(harness.setup({ mode: "VarSeq", sequence: [0, 10] }).cartoon.option("mode"), "varsequence");
+});
+
+
+test("playback stops at the end of the sequence", function () {
+    var t = harness.setup({ mode: "sequence", sequence: [0, 1], delay: 100 });
+    var events = [];
+
+    t.$("#screen").on("play.cartoon stop.cartoon end.cartoon", function (event) {
+        events.push(event.type);
+    });
+
+    t.cartoon.play();
+    t.clock.advance(1000);
+
+    assert.deepEqual(events, ["play", "end", "stop"]);
+    assert.equal(t.frames.length, 2);
+});
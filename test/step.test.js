@@ -0,0 +1,71 @@
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var harness = require("./harness");
+
+
+test("step() returns 1 for a frame, 2 for the last one, 0 past the end", function () {
+    var t = harness.setup({ frameCount: 3 });
+
+    assert.deepEqual([t.cartoon.step(), t.cartoon.step(), t.cartoon.step(), t.cartoon.step()], [1, 1, 2, 0]);
+    assert.deepEqual(t.shown(), [0, 1, 2]);
+});
+
+
+test("step() returns 3 when wrapping around while looping", function () {
+    var t = harness.setup({ frameCount: 3, loop: true });
+    var progress = [];
+    var i;
+
+    for (i = 0; i < 7; i++) progress.push(t.cartoon.step());
+
+    assert.deepEqual(progress, [1, 1, 2, 3, 1, 2, 3]);
+    assert.deepEqual(t.shown(), [0, 1, 2, 0, 1, 2, 0]);
+});
+
+
+test("step() honors skipFirst", function () {
+    var t = harness.setup({ frameCount: 3, skipFirst: true });
+
+    assert.deepEqual([t.cartoon.step(), t.cartoon.step(), t.cartoon.step()], [1, 2, 0]);
+    assert.deepEqual(t.shown(), [1, 2]);
+});
+
+
+test("step() follows the sequence in sequence and varsequence mode", function () {
+    var seq = harness.setup({ mode: "sequence", sequence: [2, 0] });
+    var varseq = harness.setup({ mode: "varsequence", sequence: [1, 10, 2, 10] });
+
+    assert.deepEqual([seq.cartoon.step(), seq.cartoon.step(), seq.cartoon.step()], [1, 2, 0]);
+    assert.deepEqual(seq.shown(), [2, 0]);
+    assert.deepEqual([varseq.cartoon.step(), varseq.cartoon.step(), varseq.cartoon.step()], [1, 2, 0]);
+    assert.deepEqual(varseq.shown(), [1, 2]);
+});
+
+
+test("stepBack() moves back, returning 2 at the first frame", function () {
+    var t = harness.setup({ frameCount: 3 });
+
+    t.cartoon.skipTo(2);
+    assert.deepEqual([t.cartoon.stepBack(), t.cartoon.stepBack(), t.cartoon.stepBack()], [1, 2, 0]);
+    assert.equal(t.cartoon.getSequenceNumber(), 0);
+});
+
+
+test("step() in reverse starts from the last frame", function () {
+    var t = harness.setup({ frameCount: 3, direction: "reverse", loop: true });
+
+    assert.deepEqual([t.cartoon.step(), t.cartoon.step(), t.cartoon.step(), t.cartoon.step()], [1, 1, 2, 3]);
+    assert.deepEqual(t.shown(), [2, 1, 0, 2]);
+});
+
+
+test("step() in the alternate direction goes there and back in one pass", function () {
+    var t = harness.setup({ frameCount: 3, direction: "alternate", loop: true });
+    var progress = [];
+    var i;
+
+    for (i = 0; i < 6; i++) progress.push(t.cartoon.step());
+
+    assert.deepEqual(progress, [1, 1, 1, 1, 2, 3]);
+    assert.deepEqual(t.shown(), [0, 1, 2, 1, 0, 1]);
+});